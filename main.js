@@ -1,23 +1,375 @@
 // Pin Folder Plugin for Obsidian
 // 将重要文件夹固定在文件浏览器顶部
 
-const { Plugin, TFile, TFolder, WorkspaceLeaf, addIcon, PluginSettingTab, Setting, Menu, Notice } = require('obsidian');
+const { Plugin, TFile, TFolder, WorkspaceLeaf, addIcon, PluginSettingTab, Setting, Menu, Notice, Modal, SuggestModal, FuzzySuggestModal, ItemView, Keymap, normalizePath, debounce, getAllTags, setIcon, getIcon } = require('obsidian');
 
 // 默认设置
+// profiles 保存多套固定配置，每套配置：
+//   pins 按显示顺序保存固定项：{ path, group, expires }，group 为所属分组 id（null 表示未分组），
+//     expires 为到期时间戳（null 表示永久固定），alias/icon/color 为自定义显示名称、Lucide 图标和强调色，
+//     sort 为展开后内容的排序方式（空字符串表示跟随文件浏览器），
+//     filter 为展开后内容的过滤规则（null 表示使用全局 filters）
+//   expired 最近到期的固定项：{ path, group, expiredAt }
+//   groups 保存分组：{ id, name, collapsed }
+//   expanded 按固定项保存展开状态：{ [固定项路径]: [已展开的文件夹路径] }，包含固定项自身路径时表示固定项已展开
+//   workspace 关联的工作区名称，加载该工作区时自动切换到此配置
+//   note 同步固定项和分组的笔记路径（空字符串表示只保存在插件数据中）
+// autoPinRules 自动固定规则：{ type, value }，type 为 glob / frontmatter / tag
+// autoPinExcluded 不参与自动固定的文件夹路径
+// folderHistory 最近使用的文件夹：{ [path]: { count, lastOpened } }
+// displayMode 固定项的显示位置：explorer 注入文件浏览器 / view 独立视图 / both 两者都显示
 const DEFAULT_SETTINGS = {
-	pinnedFolders: [],
-	sortOrder: [],
+	displayMode: 'explorer',
+	profiles: [],
+	activeProfileId: null,
 	showPinIcon: true,
 	enableDragSort: true,
-	groupPinnedFolders: true
+	groupPinnedFolders: true,
+	autoPinRules: [],
+	autoPinExcluded: [],
+	autoPinsCollapsed: false,
+	showRecentFolders: false,
+	recentFoldersLimit: 5,
+	recentFoldersScoring: 'mixed',
+	recentFoldersExcluded: [],
+	recentFoldersCollapsed: false,
+	folderHistory: {},
+	expiredPinAction: 'archive',
+	filters: null,
+	showItemCounts: false,
+	accordionMode: false
 };
 
+// 展开内容的过滤规则：
+//   extensions 只显示这些扩展名的文件（逗号分隔，留空显示全部）
+//   hideAttachments 隐藏附件（笔记和白板以外的文件，以及附件文件夹）
+//   hidePatterns 隐藏匹配的 glob；不含 "/" 时匹配名称，否则匹配完整路径
+//   followExcludedFiles 遵循 Obsidian "Excluded files" 设置
+function createFilter(data) {
+	return Object.assign({
+		extensions: '',
+		hideAttachments: false,
+		hidePatterns: [],
+		followExcludedFiles: true
+	}, data);
+}
+
+// 临时固定的时长选项
+const DAY = 24 * 60 * 60 * 1000;
+const EXPIRY_OPTIONS = [
+	{ label: 'For 1 day', duration: DAY },
+	{ label: 'For 3 days', duration: 3 * DAY },
+	{ label: 'For 1 week', duration: 7 * DAY },
+	{ label: 'For 2 weeks', duration: 14 * DAY },
+	{ label: 'For 1 month', duration: 30 * DAY }
+];
+
+// 检查到期固定项、刷新剩余时间的间隔
+const EXPIRY_CHECK_INTERVAL = 60 * 1000;
+
+// "Recently expired" 列表最多保留的条数
+const EXPIRED_PINS_LIMIT = 20;
+
+// 解析 YYYY-MM-DD，返回当天结束时的时间戳，格式错误时返回 null
+function parseExpiryDate(text) {
+	const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text.trim());
+	if (!match) return null;
+	const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]), 23, 59, 59, 999);
+	if (date.getMonth() !== Number(match[2]) - 1 || date.getDate() !== Number(match[3])) return null;
+	return date.getTime();
+}
+
+// 剩余时间的简短显示，如 3d、5h、20m
+function formatTimeLeft(ms) {
+	if (ms >= DAY) return `${Math.floor(ms / DAY)}d`;
+	if (ms >= 60 * 60 * 1000) return `${Math.floor(ms / (60 * 60 * 1000))}h`;
+	return `${Math.max(1, Math.ceil(ms / (60 * 1000)))}m`;
+}
+
+// 展开内容的排序方式，与文件浏览器的 sortOrder 取值一致
+const SORT_ORDERS = {
+	alphabetical: 'File name (A to Z)',
+	alphabeticalReverse: 'File name (Z to A)',
+	byModifiedTime: 'Modified time (new to old)',
+	byModifiedTimeReverse: 'Modified time (old to new)',
+	byCreatedTime: 'Created time (new to old)',
+	byCreatedTimeReverse: 'Created time (old to new)'
+};
+
+// 自然排序："10-" 排在 "9-" 之后
+const naturalCollator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+// 按排序方式比较两个子项：文件夹始终在前且按名称排序，与文件浏览器一致
+function compareByOrder(a, b, sortOrder) {
+	const aIsFolder = a instanceof TFolder;
+	const bIsFolder = b instanceof TFolder;
+	if (aIsFolder !== bIsFolder) return aIsFolder ? -1 : 1;
+
+	const byName = naturalCollator.compare(a.name, b.name);
+	if (aIsFolder) {
+		return sortOrder === 'alphabeticalReverse' ? -byName : byName;
+	}
+
+	switch (sortOrder) {
+		case 'alphabeticalReverse':
+			return -byName;
+		case 'byModifiedTime':
+			return b.stat.mtime - a.stat.mtime || byName;
+		case 'byModifiedTimeReverse':
+			return a.stat.mtime - b.stat.mtime || byName;
+		case 'byCreatedTime':
+			return b.stat.ctime - a.stat.ctime || byName;
+		case 'byCreatedTimeReverse':
+			return a.stat.ctime - b.stat.ctime || byName;
+		default:
+			return byName;
+	}
+}
+
+// 最近文件夹的排序方式
+const RECENT_SCORING_MODES = {
+	recent: 'Most recently used',
+	frequent: 'Most frequently used',
+	mixed: 'Mixed (frequency decaying over time)'
+};
+
+// 最多保留的文件夹使用记录数
+const FOLDER_HISTORY_LIMIT = 200;
+
+// 混合排序时使用次数的半衰期
+const RECENT_HALF_LIFE = 7 * 24 * 60 * 60 * 1000;
+
+// 自动固定规则类型
+const AUTO_PIN_RULE_TYPES = {
+	glob: 'Folder path (glob)',
+	frontmatter: 'Folder note frontmatter',
+	tag: 'Contains note with tag'
+};
+
+// 拖拽排序固定项时使用的数据类型
+const PIN_DRAG_TYPE = 'application/x-pin-folder-path';
+
+// 页面预览（hover-link）来源 ID
+const HOVER_SOURCE_ID = 'pin-folder';
+
+// 独立固定文件夹视图的类型
+const PINNED_VIEW_TYPE = 'pin-folder-view';
+
+// obsidian://pin-folder?action=... 使用的协议动作名
+const URI_ACTION = 'pin-folder';
+
+// 固定项改变时在 workspace 上触发的事件
+const PIN_CHANGED_EVENT = 'pin-folder:changed';
+
+// 将 glob 模式转换为正则：* 匹配一级路径中的任意字符，** 可跨越多级
+function globToRegExp(pattern) {
+	let source = '';
+	for (let i = 0; i < pattern.length; i++) {
+		const char = pattern[i];
+		if (char === '*' && pattern[i + 1] === '*') {
+			source += '.*';
+			i++;
+		} else if (char === '*') {
+			source += '[^/]*';
+		} else if (char === '?') {
+			source += '[^/]';
+		} else {
+			source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+		}
+	}
+	return new RegExp(`^${source}$`);
+}
+
+// 根据鼠标位置判断放到目标行之前还是之后
+function isDropAfter(e, el) {
+	const rect = el.getBoundingClientRect();
+	return e.clientY > rect.top + rect.height / 2;
+}
+
+// 按 key 对比并更新子元素：复用已有元素，只创建、移动或删除发生变化的部分
+function reconcileChildren(parentEl, items, getKey, create, update) {
+	const existing = new Map();
+	Array.from(parentEl.children).forEach(el => {
+		const key = el.getAttribute('data-pin-key');
+		if (key !== null) {
+			existing.set(key, el);
+		}
+	});
+
+	items.forEach((item, index) => {
+		const key = getKey(item);
+		let el = existing.get(key);
+		if (el) {
+			existing.delete(key);
+		} else {
+			el = create(item);
+			el.setAttribute('data-pin-key', key);
+		}
+		update(el, item);
+
+		const current = parentEl.children[index];
+		if (current !== el) {
+			parentEl.insertBefore(el, current || null);
+		}
+	});
+
+	existing.forEach(el => el.remove());
+}
+
+// 生成分组、配置集等使用的短 id
+function createId() {
+	return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+function createProfile(name, data) {
+	return Object.assign({
+		id: createId(),
+		name: name,
+		pins: [],
+		groups: [],
+		expanded: {},
+		expired: [],
+		workspace: '',
+		note: ''
+	}, data);
+}
+
+// 固定项的默认字段
+function createPin(data) {
+	const pin = Object.assign({
+		group: null,
+		expires: null,
+		alias: '',
+		icon: '',
+		color: '',
+		sort: '',
+		filter: null
+	}, data);
+	if (pin.filter) {
+		pin.filter = createFilter(pin.filter);
+	}
+	return pin;
+}
+
+// 校验导入的固定项：只保留已知字段，类型不符的值使用默认值；路径无效时返回 null
+function sanitizePin(item) {
+	if (!item || typeof item.path !== 'string' || !item.path.trim()) return null;
+	const text = value => typeof value === 'string' ? value : '';
+	return {
+		path: item.path,
+		group: typeof item.group === 'string' ? item.group : null,
+		expires: typeof item.expires === 'number' && isFinite(item.expires) ? item.expires : null,
+		alias: text(item.alias),
+		icon: text(item.icon),
+		color: text(item.color),
+		sort: Object.keys(SORT_ORDERS).includes(item.sort) ? item.sort : '',
+		filter: sanitizeFilter(item.filter)
+	};
+}
+
+function sanitizeFilter(filter) {
+	if (!filter || typeof filter !== 'object') return null;
+	const defaults = createFilter();
+	return createFilter({
+		extensions: typeof filter.extensions === 'string' ? filter.extensions : defaults.extensions,
+		hideAttachments: typeof filter.hideAttachments === 'boolean' ? filter.hideAttachments : defaults.hideAttachments,
+		hidePatterns: Array.isArray(filter.hidePatterns)
+			? filter.hidePatterns.filter(pattern => typeof pattern === 'string')
+			: [],
+		followExcludedFiles: typeof filter.followExcludedFiles === 'boolean'
+			? filter.followExcludedFiles
+			: defaults.followExcludedFiles
+	});
+}
+
+// 多选时的数量描述，如 "3 folders"、"2 files"，混合时为 "4 items"
+function describeCount(files) {
+	const kind = files.every(file => file instanceof TFolder) ? 'folder'
+		: files.every(file => file instanceof TFile) ? 'file' : 'item';
+	return `${files.length} ${kind}${files.length === 1 ? '' : 's'}`;
+}
+
+// 固定项笔记中由插件维护的区域，区域外的 frontmatter 和其他内容不会被改写
+const PINS_NOTE_START = '%% pin-folder:start %%';
+const PINS_NOTE_END = '%% pin-folder:end %%';
+const FRONTMATTER_PATTERN = /^---\r?\n(?:[\s\S]*?\r?\n)?---(?:\r?\n|$)/;
+
+function normalizePinsNotePath(notePath) {
+	return notePath ? normalizePath(notePath.endsWith('.md') ? notePath : `${notePath}.md`) : '';
+}
+
+// 查找插件维护的区域，返回开始和结束标记的位置
+function findPinsNoteBlock(text) {
+	const start = text.indexOf(PINS_NOTE_START);
+	const end = start === -1 ? -1 : text.indexOf(PINS_NOTE_END, start);
+	return end === -1 ? null : { start, end };
+}
+
+// 固定项所在的文本：有插件维护的区域时只取区域内，否则为 frontmatter 之后的全文
+function getPinsNoteSection(text) {
+	const block = findPinsNoteBlock(text);
+	if (block) {
+		return text.slice(block.start + PINS_NOTE_START.length, block.end).replace(/^[^\S\r\n]*\r?\n/, '');
+	}
+	const frontmatter = text.match(FRONTMATTER_PATTERN);
+	return frontmatter ? text.slice(frontmatter[0].length) : text;
+}
+
+// 用 pinsText 替换插件维护的区域；没有该区域的笔记保留 frontmatter 和其他段落，
+// 原来表示固定项的链接列表和标题移入新建的区域
+function replacePinsNoteSection(text, pinsText) {
+	const blockText = `${PINS_NOTE_START}\n${pinsText}${PINS_NOTE_END}`;
+	const block = findPinsNoteBlock(text);
+	if (block) {
+		return text.slice(0, block.start) + blockText + text.slice(block.end + PINS_NOTE_END.length);
+	}
+
+	const frontmatter = text.match(FRONTMATTER_PATTERN);
+	const head = frontmatter ? frontmatter[0] : '';
+	const rest = text.slice(head.length).split(/\r?\n/)
+		.filter(line => !/^#{1,6}\s/.test(line) && !/^\s*[-*+]\s+(?:\[\[[^\]]*\]\]\s*)+$/.test(line))
+		.join('\n')
+		.replace(/\n{3,}/g, '\n\n')
+		.trim();
+	return `${head}${rest ? `${rest}\n\n` : ''}${blockText}\n`;
+}
+
+// 解析固定项笔记（只读插件维护的区域，没有时读全文）：标题作为分组名，标题下的 [[链接]]（可带 |别名）作为固定项，第一个标题之前的链接不分组
+// 返回 { groups: [name], pins: [{ link, alias, group }] }
+function parsePinsNote(text) {
+	const result = { groups: [], pins: [] };
+	let group = null;
+
+	getPinsNoteSection(text).split(/\r?\n/).forEach(line => {
+		const heading = line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/);
+		if (heading) {
+			group = heading[1];
+			if (!result.groups.includes(group)) {
+				result.groups.push(group);
+			}
+			return;
+		}
+
+		// 保留完整的链接文本（路径本身可能含有 # 或 ^），由 resolvePinLink 判断是否为标题或块引用后缀
+		const linkPattern = /\[\[([^\]|]+)(?:\|([^\]]*))?\]\]/g;
+		let match;
+		while ((match = linkPattern.exec(line)) !== null) {
+			result.pins.push({ link: match[1].trim(), alias: (match[2] || '').trim(), group });
+		}
+	});
+	return result;
+}
+
+// 导出的固定配置格式版本
+const PIN_CONFIG_VERSION = 1;
+
 // 主插件类
 class PinFolderPlugin extends Plugin {
 	constructor() {
 		super(...arguments);
 		this.settings = DEFAULT_SETTINGS;
 		this.pinManager = null;
+		this.api = null;
 	}
 
 	async onload() {
@@ -26,30 +378,50 @@ class PinFolderPlugin extends Plugin {
 		// 添加固定图标
 		this.addPinIcon();
 
+		// 供其他插件和脚本使用的 API：app.plugins.plugins['pin-folder'].api
+		this.api = new PinFolderApi(this);
+
 		// 初始化PinManager
 		this.pinManager = new PinManager(this);
 
+		// 注册独立的固定文件夹视图
+		this.registerView(PINNED_VIEW_TYPE, (leaf) => new PinnedFoldersView(leaf, this));
+
 		// 添加设置标签页
 		this.addSettingTab(new SettingsTab(this.app, this));
 
 		// 注册命令
 		this.addCommands();
 
-		// 监听文件浏览器变化
+		// 按住 Ctrl/Cmd 悬停固定树中的文件时显示页面预览
+		this.registerHoverLinkSource(HOVER_SOURCE_ID, {
+			display: 'Pin Folder',
+			defaultMod: true
+		});
+
+		// 从其他应用通过 obsidian:// 链接固定、取消固定、打开固定项或切换配置集
+		this.registerObsidianProtocolHandler(URI_ACTION, (params) => {
+			this.handleUriAction(params);
+		});
+
+		// 切换固定配置集
+		this.addRibbonIcon('layers', 'Switch pin profile', (evt) => {
+			this.showProfileMenu(evt);
+		});
+
+		// 打开固定文件夹视图（只在文件浏览器中显示时不添加）
+		this.viewRibbonIconEl = null;
+		this.updateViewRibbonIcon();
+
+		// 监听文件浏览器变化（文件浏览器可能被关闭或重新打开）
 		this.registerEvent(
 			this.app.workspace.on('layout-change', () => {
 				if (this.pinManager) {
-					this.pinManager.refreshFileExplorer();
+					this.pinManager.syncProfileWithWorkspace();
+					this.pinManager.initializeFileExplorer();
 				}
 			})
 		);
-
-		// 初始化时刷新文件浏览器
-		setTimeout(() => {
-			if (this.pinManager) {
-				this.pinManager.refreshFileExplorer();
-			}
-		}, 2000);
 	}
 
 	onunload() {
@@ -60,11 +432,78 @@ class PinFolderPlugin extends Plugin {
 
 	async loadSettings() {
 		this.settings = Object.assign({}, DEFAULT_SETTINGS, await this.loadData());
+		this.migrateSettings();
+	}
+
+	// 兼容旧版本的 pinnedFolders/sortOrder 字符串数组，以及没有配置集的 pins/groups
+	migrateSettings() {
+		const settings = this.settings;
+		if (Array.isArray(settings.pinnedFolders)) {
+			const order = (settings.sortOrder || []).filter(path => settings.pinnedFolders.includes(path));
+			settings.pinnedFolders.forEach(path => {
+				if (!order.includes(path)) {
+					order.push(path);
+				}
+			});
+			settings.pins = order.map(path => ({ path, group: null }));
+			delete settings.pinnedFolders;
+			delete settings.sortOrder;
+		}
+
+		if (settings.profiles.length === 0 || Array.isArray(settings.pins)) {
+			settings.profiles = settings.profiles.concat(createProfile('Default', {
+				pins: settings.pins || [],
+				groups: settings.groups || []
+			}));
+			delete settings.pins;
+			delete settings.groups;
+		}
+
+		// 避免修改 DEFAULT_SETTINGS 中的共享数组
+		settings.profiles = settings.profiles.map(profile => {
+			const result = Object.assign(createProfile(profile.name), profile);
+			result.pins = result.pins.map(pin => createPin(pin));
+			result.groups = result.groups.map(group => Object.assign({ collapsed: false }, group));
+			// 旧版本只保存已展开的固定项路径
+			if (Array.isArray(result.expanded)) {
+				const expanded = {};
+				result.expanded.forEach(path => {
+					expanded[path] = [path];
+				});
+				result.expanded = expanded;
+			}
+			// 只保留手动固定项的展开状态（旧版本也保存了自动固定和最近文件夹的）
+			Object.keys(result.expanded).forEach(path => {
+				if (!result.pins.some(pin => pin.path === path)) {
+					delete result.expanded[path];
+				}
+			});
+			return result;
+		});
+
+		if (!settings.profiles.some(profile => profile.id === settings.activeProfileId)) {
+			settings.activeProfileId = settings.profiles[0].id;
+		}
+
+		settings.autoPinRules = settings.autoPinRules.map(rule => Object.assign({}, rule));
+		settings.autoPinExcluded = settings.autoPinExcluded.slice();
+		settings.recentFoldersExcluded = settings.recentFoldersExcluded.slice();
+		settings.filters = createFilter(settings.filters);
+		settings.filters.hidePatterns = settings.filters.hidePatterns.slice();
+		settings.folderHistory = Object.assign({}, settings.folderHistory);
+	}
+
+	// 获取当前使用的固定配置
+	getProfile() {
+		return this.settings.profiles.find(profile => profile.id === this.settings.activeProfileId)
+			|| this.settings.profiles[0];
 	}
 
 	async saveSettings() {
 		await this.saveData(this.settings);
 		if (this.pinManager) {
+			this.pinManager.writePinsNote();
+			this.pinManager.notifyChange();
 			this.pinManager.refreshFileExplorer();
 		}
 	}
@@ -101,6 +540,29 @@ class PinFolderPlugin extends Plugin {
 			}
 		});
 
+		// 固定当前文件命令
+		this.addCommand({
+			id: 'pin-current-file',
+			name: 'Pin current file',
+			checkCallback: (checking) => {
+				const activeFile = this.app.workspace.getActiveFile();
+				if (!activeFile) return false;
+				if (!checking) {
+					this.pinManager.togglePin(activeFile.path);
+				}
+				return true;
+			}
+		});
+
+		// 切换配置集命令
+		this.addCommand({
+			id: 'switch-pin-profile',
+			name: 'Switch pin profile',
+			callback: () => {
+				new ProfileSuggestModal(this.app, this.pinManager).open();
+			}
+		});
+
 		// 取消固定所有文件夹命令
 		this.addCommand({
 			id: 'unpin-all-folders',
@@ -119,6 +581,78 @@ class PinFolderPlugin extends Plugin {
 			}
 		});
 
+		// 模糊搜索固定项及其子项并跳转
+		this.addCommand({
+			id: 'jump-to-pinned-folder',
+			name: 'Jump to pinned folder',
+			callback: () => {
+				new PinnedItemSuggestModal(this.app, this.pinManager).open();
+			}
+		});
+
+		// 按顺序打开第 1-9 个固定项，可分别绑定快捷键
+		for (let n = 1; n <= 9; n++) {
+			this.addCommand({
+				id: `open-pinned-item-${n}`,
+				name: `Open pinned item ${n}`,
+				checkCallback: (checking) => {
+					const pin = this.pinManager.getOrderedPins()[n - 1];
+					if (!pin) return false;
+					if (!checking) {
+						this.pinManager.openPinnedItem(this.app.vault.getAbstractFileByPath(pin.path));
+					}
+					return true;
+				}
+			});
+		}
+
+		// 折叠所有固定项
+		this.addCommand({
+			id: 'collapse-all-pinned',
+			name: 'Collapse all pinned folders',
+			callback: () => {
+				this.pinManager.collapseAll();
+			}
+		});
+
+		// 将固定文件夹展开到指定层级
+		this.addCommand({
+			id: 'expand-pinned-to-depth',
+			name: 'Expand pinned folders to depth...',
+			callback: () => {
+				new TextInputModal(this.app, 'Expand to depth', '2', (value) => {
+					const depth = parseInt(value, 10);
+					if (!(depth >= 1)) {
+						new Notice('Depth must be a number of at least 1');
+						return;
+					}
+					this.pinManager.expandToDepth(depth);
+				}).open();
+			}
+		});
+
+		// 在侧边栏中打开固定文件夹视图
+		this.addCommand({
+			id: 'open-pinned-folders-view',
+			name: 'Open pinned folders view',
+			checkCallback: (checking) => {
+				if (this.settings.displayMode === 'explorer') return false;
+				if (!checking) {
+					this.activatePinnedView();
+				}
+				return true;
+			}
+		});
+
+		// 聚焦固定面板，便于只用键盘操作
+		this.addCommand({
+			id: 'focus-pinned-folders',
+			name: 'Focus pinned folders',
+			callback: () => {
+				this.pinManager.focusPinnedPanel();
+			}
+		});
+
 		// 调试命令
 		this.addCommand({
 			id: 'debug-pin-status',
@@ -129,9 +663,9 @@ class PinFolderPlugin extends Plugin {
 					const fileExplorer = leaf.view;
 					console.log('File Explorer:', fileExplorer);
 					console.log('File Items:', fileExplorer.fileItems);
-					console.log('Pinned Folders:', this.settings.pinnedFolders);
-					console.log('Sort Order:', this.settings.sortOrder);
-					new Notice(`Debug info logged to console. Pinned: ${this.settings.pinnedFolders.length} folders`);
+					console.log('Pins:', this.getProfile().pins);
+					console.log('Groups:', this.getProfile().groups);
+					new Notice(`Debug info logged to console. Pinned: ${this.getProfile().pins.length} items`);
 				} else {
 					new Notice('File explorer not found');
 				}
@@ -139,6 +673,135 @@ class PinFolderPlugin extends Plugin {
 		});
 	}
 
+	showProfileMenu(evt) {
+		const menu = new Menu();
+		this.settings.profiles.forEach(profile => {
+			menu.addItem(item => {
+				item
+					.setTitle(profile.name)
+					.setChecked(profile.id === this.settings.activeProfileId)
+					.onClick(() => {
+						this.pinManager.switchProfile(profile.id);
+					});
+			});
+		});
+		menu.addSeparator();
+		menu.addItem(item => {
+			item
+				.setTitle('New profile')
+				.setIcon('plus')
+				.onClick(() => {
+					new TextInputModal(this.app, 'New pin profile', '', (name) => {
+						const profile = this.pinManager.addProfile(name);
+						this.pinManager.switchProfile(profile.id);
+					}).open();
+				});
+		});
+		menu.showAtMouseEvent(evt);
+	}
+
+	// 处理 obsidian://pin-folder 链接：
+	//   action=pin&path=… / action=unpin&path=…
+	//   action=open&index=…（从 1 开始，与 "Open pinned item N" 相同）或 action=open&path=…
+	//   action=profile&name=…
+	handleUriAction(params) {
+		const pinManager = this.pinManager;
+		const path = params.path ? normalizePath(params.path) : '';
+
+		switch (params.action) {
+			case 'pin':
+			case 'unpin': {
+				if (!path) {
+					new Notice('Missing "path" in pin URI');
+					return;
+				}
+				if (params.action === 'pin' && !this.app.vault.getAbstractFileByPath(path)) {
+					new Notice(`Not found in this vault: ${path}`);
+					return;
+				}
+				if (params.action === 'pin' && pinManager.isPinned(path)) {
+					new Notice(`Already pinned: ${path}`);
+					return;
+				}
+				if (params.action === 'unpin' && !pinManager.isPinned(path)) {
+					new Notice(`Not pinned: ${path}`);
+					return;
+				}
+				pinManager.togglePin(path);
+				return;
+			}
+			case 'open': {
+				const pins = pinManager.getOrderedPins();
+				let pin;
+				if (path) {
+					pin = pins.find(item => item.path === path);
+					if (!pin) {
+						new Notice(`Not pinned: ${path}`);
+						return;
+					}
+				} else {
+					const index = Number(params.index);
+					pin = Number.isInteger(index) ? pins[index - 1] : null;
+					if (!pin) {
+						new Notice(params.index ? `No pinned item at index ${params.index}` : 'Missing "index" or "path" in pin URI');
+						return;
+					}
+				}
+				pinManager.openPinnedItem(this.app.vault.getAbstractFileByPath(pin.path));
+				return;
+			}
+			case 'profile': {
+				const name = (params.name || '').trim();
+				const profile = this.settings.profiles.find(item => item.name === name)
+					|| this.settings.profiles.find(item => item.name.toLowerCase() === name.toLowerCase());
+				if (!profile) {
+					new Notice(name ? `No pin profile named "${name}"` : 'Missing "name" in pin URI');
+					return;
+				}
+				pinManager.switchProfile(profile.id);
+				return;
+			}
+			default:
+				new Notice(params.action ? `Unknown pin URI action: ${params.action}` : 'Missing "action" in pin URI');
+		}
+	}
+
+	// 打开（或显示已打开的）固定文件夹视图，默认停靠在左侧边栏
+	async activatePinnedView() {
+		const { workspace } = this.app;
+		let leaf = workspace.getLeavesOfType(PINNED_VIEW_TYPE)[0];
+		if (!leaf) {
+			leaf = workspace.getLeftLeaf(false);
+			if (!leaf) return null;
+			await leaf.setViewState({ type: PINNED_VIEW_TYPE, active: true });
+		}
+		workspace.revealLeaf(leaf);
+		return leaf.view;
+	}
+
+	// 切换显示位置后注入或恢复文件浏览器，并打开或关闭独立视图
+	async applyDisplayMode() {
+		this.pinManager.initializeFileExplorer();
+		this.updateViewRibbonIcon();
+		if (this.settings.displayMode === 'explorer') {
+			this.app.workspace.detachLeavesOfType(PINNED_VIEW_TYPE);
+		} else {
+			await this.activatePinnedView();
+		}
+	}
+
+	updateViewRibbonIcon() {
+		const showIcon = this.settings.displayMode !== 'explorer';
+		if (showIcon && !this.viewRibbonIconEl) {
+			this.viewRibbonIconEl = this.addRibbonIcon('pin', 'Open pinned folders view', () => {
+				this.activatePinnedView();
+			});
+		} else if (!showIcon && this.viewRibbonIconEl) {
+			this.viewRibbonIconEl.remove();
+			this.viewRibbonIconEl = null;
+		}
+	}
+
 	// 获取文件浏览器叶子节点
 	getFileExplorerLeaf() {
 		const leaves = this.app.workspace.getLeavesOfType('file-explorer');
@@ -152,630 +815,2906 @@ class PinManager {
 		this.plugin = plugin;
 		this.fileExplorer = null;
 		this.originalSort = null;
-		this.initializeFileExplorer();
+		this.explorerObserver = null;
+		this.pinnedContainerEl = null;
+		// 是否已修改文件浏览器的排序并注入固定容器
+		this.injected = false;
+		// 独立视图中的固定面板
+		this.viewPanels = new Set();
+		// 已添加固定图标的文件浏览器条目路径
+		this.decoratedPaths = new Set();
+		// 作为 hover-link 的 hoverParent，保存当前的预览弹窗
+		this.hoverPopover = null;
+		// 自动固定的文件夹路径，文件库或元数据变化后重新计算
+		this.autoPins = [];
+		this.autoPinsDirty = true;
+		// 自动固定和最近文件夹的展开状态，随规则和历史变化，只保存在内存中
+		this.transientExpanded = {};
+		// 最近一次与固定项笔记同步的内容，用于跳过自身写入和未改变的保存
+		this.pinsNoteSynced = null;
+		// 最近一次通知的固定项，只在改变时触发 pin-folder:changed；布局就绪后初始化
+		this.changeSignature = null;
+		// 键盘输入跳转时累积的字符
+		this.typeAheadBuffer = '';
+		this.typeAheadTimer = null;
+		// 工作区插件每次加载工作区时计数，重新加载同一工作区也能切换回关联的配置集
+		this.workspacesInstance = null;
+		this.originalLoadWorkspace = null;
+		this.workspaceLoads = 0;
+		this.lastWorkspace = '';
+		// 合并短时间内的多次刷新请求
+		this.requestRender = debounce(() => this.render(), 50, true);
+
+		this.registerVaultEvents();
+		this.addContextMenu();
+		this.plugin.app.workspace.onLayoutReady(async () => {
+			this.changeSignature = JSON.stringify(this.plugin.api.list());
+			// 读取固定项笔记失败时仍然初始化文件浏览器
+			try {
+				if (await this.loadPinsNote()) {
+					await this.plugin.saveSettings();
+				}
+			} catch (error) {
+				new Notice(`Failed to read pins note: ${error.message}`);
+			}
+			this.checkExpiredPins();
+			this.initializeFileExplorer();
+		});
+
+		// 定时移除到期的临时固定项，并刷新剩余时间
+		this.plugin.registerInterval(window.setInterval(() => {
+			if (!this.checkExpiredPins() && this.getVisiblePins().some(pin => pin.expires)) {
+				this.requestRender();
+			}
+		}, EXPIRY_CHECK_INTERVAL));
 	}
 
-	initializeFileExplorer() {
-		const leaf = this.plugin.getFileExplorerLeaf();
-		if (leaf) {
-			this.fileExplorer = leaf.view;
-			this.hookFileExplorer();
-		} else {
-			// 如果文件浏览器还没有加载，等待一下再试
-			setTimeout(() => {
-				this.initializeFileExplorer();
-			}, 1000);
+	// 移除所有配置集中已到期的固定项，按设置归档到 "Recently expired"，返回是否有变化
+	checkExpiredPins() {
+		const now = Date.now();
+		const settings = this.plugin.settings;
+		let changed = false;
+
+		settings.profiles.forEach(profile => {
+			const expired = profile.pins.filter(pin => pin.expires && pin.expires <= now);
+			if (expired.length === 0) return;
+			changed = true;
+
+			profile.pins = profile.pins.filter(pin => !expired.includes(pin));
+			expired.forEach(pin => delete profile.expanded[pin.path]);
+			if (settings.expiredPinAction === 'archive') {
+				const archived = expired.map(pin => ({ path: pin.path, group: pin.group, expiredAt: pin.expires }));
+				profile.expired = archived
+					.concat(profile.expired.filter(item => !expired.some(pin => pin.path === item.path)))
+					.slice(0, EXPIRED_PINS_LIMIT);
+			}
+			// 只提示当前配置集中的到期项
+			if (profile === this.plugin.getProfile()) {
+				expired.forEach(pin => new Notice(`Pin expired: ${pin.path}`));
+			}
+		});
+
+		if (changed) {
+			this.plugin.saveSettings();
 		}
+		return changed;
 	}
 
-	hookFileExplorer() {
-		if (!this.fileExplorer) return;
+	registerVaultEvents() {
+		const vault = this.plugin.app.vault;
 
-		// 保存原始排序方法
-		this.originalSort = this.fileExplorer.sort;
-
-		// 重写排序方法
-		this.fileExplorer.sort = (items) => {
-			return this.sortWithPinnedFolders(items);
-		};
+		// 文件夹或文件重命名、移动时同步固定路径
+		this.plugin.registerEvent(
+			vault.on('rename', (file, oldPath) => {
+				this.handleRename(file, oldPath);
+			})
+		);
 
-		// 添加右键菜单
-		this.addContextMenu();
+		// 文件夹或文件被删除时保留固定项，标记为缺失，可在设置中重新定位或移除
+		// 新建、修改时同样只在影响固定项或已展开的文件夹时刷新
+		['create', 'delete', 'modify'].forEach(eventName => {
+			this.plugin.registerEvent(
+				vault.on(eventName, (file) => {
+					this.handleVaultChange(file.path);
+				})
+			);
+		});
 
-		// 定期检查并添加图标
-		this.startIconCheck();
+		// 固定项笔记被手动编辑或同步服务更新时重新读取
+		['create', 'modify'].forEach(eventName => {
+			this.plugin.registerEvent(
+				vault.on(eventName, (file) => {
+					if (file instanceof TFile && file.path === this.plugin.getProfile().note) {
+						this.readPinsNote(file);
+					}
+				})
+			);
+		});
 
-		// 添加固定文件夹到顶部
-		this.addPinnedFoldersToTop();
-	}
+		// 文件夹增删、改名或笔记元数据变化时，自动固定的结果可能改变
+		['create', 'delete', 'rename'].forEach(eventName => {
+			this.plugin.registerEvent(
+				vault.on(eventName, () => {
+					this.invalidateAutoPins();
+				})
+			);
+		});
+		this.plugin.registerEvent(
+			this.plugin.app.metadataCache.on('changed', () => {
+				this.invalidateAutoPins();
+			})
+		);
 
-	startIconCheck() {
-		const checkIcons = () => {
-			this.addPinIcons();
-			// 减少固定文件夹容器的检查频率，避免不必要的重新渲染
-			if (Math.random() < 0.3) { // 30%的概率检查
-				this.addPinnedFoldersToTop();
-			}
-			setTimeout(checkIcons, 5000); // 增加检查间隔到5秒
-		};
-		setTimeout(checkIcons, 2000);
+		// 记录打开文件所在的文件夹，用于最近文件夹
+		this.plugin.registerEvent(
+			this.plugin.app.workspace.on('file-open', (file) => {
+				if (file && file.parent && !file.parent.isRoot()) {
+					this.recordFolderUse(file.parent.path);
+				}
+			})
+		);
 	}
 
-	addPinnedFoldersToTop() {
-		if (!this.fileExplorer) return;
+	recordFolderUse(folderPath) {
+		const settings = this.plugin.settings;
+		// 未开启最近文件夹或文件夹已排除时不记录，避免每次打开文件都写入数据
+		if (!settings.showRecentFolders || this.isRecentExcluded(folderPath)) return;
 
-		const container = this.fileExplorer.containerEl;
-		if (!container) return;
+		const entry = settings.folderHistory[folderPath] || { count: 0, lastOpened: 0 };
+		entry.count++;
+		entry.lastOpened = Date.now();
+		settings.folderHistory[folderPath] = entry;
 
-		// 查找或创建固定文件夹容器
-		let pinnedContainer = container.querySelector('.pinned-folders-container');
-		
-		if (!this.plugin.settings.groupPinnedFolders) {
-			// 如果设置关闭，隐藏容器
-			if (pinnedContainer) {
-				pinnedContainer.style.display = 'none';
-			}
-			return;
+		// 超出上限时丢弃最久未使用的记录
+		const paths = Object.keys(settings.folderHistory);
+		if (paths.length > FOLDER_HISTORY_LIMIT) {
+			paths
+				.sort((a, b) => settings.folderHistory[a].lastOpened - settings.folderHistory[b].lastOpened)
+				.slice(0, paths.length - FOLDER_HISTORY_LIMIT)
+				.forEach(path => delete settings.folderHistory[path]);
 		}
 
-		// 如果设置开启，显示容器
-		if (pinnedContainer) {
-			pinnedContainer.style.display = 'block';
-			// 检查是否需要重新渲染
-			const currentPinnedCount = pinnedContainer.querySelectorAll('.pinned-folder-item').length;
-			const hasExpanded = pinnedContainer.getAttribute('data-has-expanded') === 'true';
-			
-			// 只有在固定文件夹列表发生变化且没有展开的文件夹时才重新渲染
-			if (currentPinnedCount !== this.plugin.settings.pinnedFolders.length && !hasExpanded) {
-				this.renderPinnedFoldersInContainer(pinnedContainer);
-			}
-		} else {
-			// 创建新的固定文件夹容器
-			pinnedContainer = container.createDiv('pinned-folders-container');
-			pinnedContainer.style.borderBottom = '1px solid var(--background-modifier-border)';
-			pinnedContainer.style.paddingBottom = '8px';
-			pinnedContainer.style.marginBottom = '8px';
-			
-			// 将固定文件夹容器插入到文件列表顶部
-			const navFileContainer = container.querySelector('.nav-files-container');
-			if (navFileContainer) {
-				navFileContainer.insertBefore(pinnedContainer, navFileContainer.firstChild);
-			}
-			
-			this.renderPinnedFoldersInContainer(pinnedContainer);
-		}
+		// 使用记录变化频繁，只保存数据，不触发整体刷新
+		this.saveState();
+		this.requestRender();
 	}
 
-	renderPinnedFoldersInContainer(container) {
-		// 保存当前展开状态
-		const expandedStates = {};
-		const existingItems = container.querySelectorAll('.pinned-folder-item');
-		existingItems.forEach(item => {
-			const path = item.getAttribute('data-folder-path');
-			if (path && item.hasClass('expanded')) {
-				expandedStates[path] = true;
-			}
+	// 只保存数据，不写回固定项笔记、不重新排序或重新计算自动固定；用于频繁变化的状态
+	saveState() {
+		this.plugin.saveData(this.plugin.settings).catch(error => {
+			console.error('Pin Folder: failed to save settings', error);
 		});
+	}
 
-		container.empty();
+	getRecentScore(entry, now) {
+		const mode = this.plugin.settings.recentFoldersScoring;
+		if (mode === 'recent') return entry.lastOpened;
+		if (mode === 'frequent') return entry.count;
+		return entry.count * Math.pow(0.5, (now - entry.lastOpened) / RECENT_HALF_LIFE);
+	}
 
-		if (this.plugin.settings.pinnedFolders.length === 0) {
-			return;
-		}
+	isRecentExcluded(folderPath) {
+		return this.plugin.settings.recentFoldersExcluded.some(excluded => {
+			const path = normalizePath(excluded.trim());
+			return path && (folderPath === path || folderPath.startsWith(path + '/'));
+		});
+	}
 
-		// 添加标题 - 已隐藏
-		// const title = container.createDiv('pinned-folders-title');
-		// title.textContent = '📌 Pinned Folders';
-		// title.style.fontSize = '12px';
-		// title.style.fontWeight = '600';
-		// title.style.color = 'var(--text-muted)';
-		// title.style.marginBottom = '4px';
-		// title.style.padding = '4px 8px';
+	// 最近使用的文件夹，已固定、已排除或不存在的文件夹不显示
+	getRecentFolders() {
+		const settings = this.plugin.settings;
+		if (!settings.showRecentFolders) return [];
 
-		// 渲染固定文件夹
-		this.plugin.settings.sortOrder.forEach((folderPath) => {
-			if (!this.plugin.settings.pinnedFolders.includes(folderPath)) {
-				return;
-			}
+		const now = Date.now();
+		const history = settings.folderHistory;
+		const autoPins = this.getAutoPins();
+		return Object.keys(history)
+			.filter(path => this.plugin.app.vault.getAbstractFileByPath(path) instanceof TFolder)
+			.filter(path => !this.isPinned(path) && !autoPins.includes(path) && !this.isRecentExcluded(path))
+			.sort((a, b) => {
+				const scoreA = this.getRecentScore(history[a], now);
+				const scoreB = this.getRecentScore(history[b], now);
+				return scoreB - scoreA || history[b].lastOpened - history[a].lastOpened;
+			})
+			.slice(0, settings.recentFoldersLimit);
+	}
 
-			const folderItem = container.createDiv('pinned-folder-item');
-			folderItem.setAttribute('data-folder-path', folderPath);
-			folderItem.style.display = 'flex';
-			folderItem.style.alignItems = 'center';
-			folderItem.style.padding = '4px 8px';
-			folderItem.style.borderRadius = '4px';
-			folderItem.style.marginBottom = '2px';
-			folderItem.style.cursor = 'pointer';
-			folderItem.style.fontSize = '14px';
-			folderItem.style.position = 'relative';
-
-			// 悬停效果
-			folderItem.addEventListener('mouseenter', () => {
-				folderItem.style.backgroundColor = 'var(--background-modifier-hover)';
-			});
-			folderItem.addEventListener('mouseleave', () => {
-				folderItem.style.backgroundColor = 'transparent';
-			});
+	async removeRecentFolder(folderPath) {
+		delete this.plugin.settings.folderHistory[folderPath];
+		await this.plugin.saveSettings();
+	}
 
-			// 点击展开/折叠文件夹内容 - 修复自动折叠问题
-			folderItem.addEventListener('click', (e) => {
-				e.stopPropagation(); // 防止事件冒泡
-				this.toggleFolderExpansion(folderItem, folderPath);
-			});
+	async clearFolderHistory() {
+		this.plugin.settings.folderHistory = {};
+		await this.plugin.saveSettings();
+	}
 
-			// 固定图标
-			const pinIcon = folderItem.createEl('span', {
-				text: '📌',
-				cls: 'pin-icon'
-			});
-			pinIcon.style.marginRight = '6px';
-			pinIcon.style.fontSize = '12px';
+	invalidateAutoPins() {
+		if (this.plugin.settings.autoPinRules.length === 0 && this.autoPins.length === 0) return;
+		this.autoPinsDirty = true;
+		this.requestRender();
+	}
 
-			// 文件夹名称
-			const folderName = folderItem.createEl('span', {
-				text: folderPath.split('/').pop() || folderPath,
-				cls: 'folder-name'
-			});
-			folderName.style.flex = '1';
-			folderName.style.color = 'var(--text-normal)';
+	// 按规则计算自动固定的文件夹，已手动固定或被排除的文件夹不重复显示
+	getAutoPins() {
+		if (this.autoPinsDirty) {
+			this.autoPins = this.computeAutoPins();
+			this.autoPinsDirty = false;
+		}
+		return this.autoPins;
+	}
 
-			// 展开箭头 - 修复重叠问题
-			const expandIcon = folderItem.createEl('span', {
-				cls: 'expand-icon',
-				text: '▶'
-			});
-			expandIcon.style.marginLeft = '4px';
-			expandIcon.style.marginRight = '20px'; // 为取消按钮留出空间
-			expandIcon.style.fontSize = '10px';
-			expandIcon.style.color = 'var(--text-muted)';
-			expandIcon.style.position = 'relative';
-			expandIcon.style.zIndex = '5';
+	computeAutoPins() {
+		const settings = this.plugin.settings;
+		const rules = settings.autoPinRules.filter(rule => rule.value && rule.value.trim());
+		if (rules.length === 0) return [];
 
-			// 右键菜单
-			folderItem.addEventListener('contextmenu', (e) => {
-				e.preventDefault();
-				const menu = new Menu();
-				menu.addItem(item => {
-					item
-						.setTitle('Unpin folder')
-						.setIcon('pin-off')
-						.onClick(() => {
-							this.togglePin(folderPath);
-						});
-				});
-				menu.showAtPosition({ x: e.clientX, y: e.clientY });
-			});
+		return this.plugin.app.vault.getAllLoadedFiles()
+			.filter(file => file instanceof TFolder && !file.isRoot())
+			.filter(folder => !this.isPinned(folder.path) && !settings.autoPinExcluded.includes(folder.path))
+			.filter(folder => rules.some(rule => this.matchesAutoPinRule(folder, rule)))
+			.map(folder => folder.path)
+			.sort((a, b) => a.localeCompare(b));
+	}
 
-			// 取消固定按钮（悬停时显示）
-			const unpinButton = folderItem.createEl('button', {
-				text: '×',
-				cls: 'unpin-button'
-			});
-			unpinButton.style.position = 'absolute';
-			unpinButton.style.right = '8px';
-			unpinButton.style.background = 'var(--background-error)';
-			unpinButton.style.color = 'var(--text-on-accent)';
-			unpinButton.style.border = 'none';
-			unpinButton.style.borderRadius = '50%';
-			unpinButton.style.width = '16px';
-			unpinButton.style.height = '16px';
-			unpinButton.style.fontSize = '10px';
-			unpinButton.style.cursor = 'pointer';
-			unpinButton.style.display = 'none';
-			unpinButton.style.lineHeight = '1';
+	matchesAutoPinRule(folder, rule) {
+		const value = rule.value.trim();
+		const metadataCache = this.plugin.app.metadataCache;
 
-			// 悬停时显示取消固定按钮
-			folderItem.addEventListener('mouseenter', () => {
-				unpinButton.style.display = 'block';
-			});
-			folderItem.addEventListener('mouseleave', () => {
-				unpinButton.style.display = 'none';
-			});
+		if (rule.type === 'glob') {
+			return globToRegExp(value).test(folder.path);
+		}
 
-			unpinButton.addEventListener('click', (e) => {
-				e.stopPropagation();
-				e.preventDefault();
-				this.togglePin(folderPath);
+		if (rule.type === 'frontmatter') {
+			// 形如 "status: active"；只写键名时只要求存在该属性
+			const separator = value.indexOf(':');
+			const key = (separator === -1 ? value : value.slice(0, separator)).trim();
+			const expected = separator === -1 ? null : value.slice(separator + 1).trim().toLowerCase();
+			const note = this.getFolderNote(folder);
+			const cache = note && metadataCache.getFileCache(note);
+			const frontmatter = cache && cache.frontmatter;
+			if (!frontmatter || !(key in frontmatter)) return false;
+			if (expected === null) return true;
+			const actual = [].concat(frontmatter[key]);
+			return actual.some(item => item !== null && String(item).toLowerCase() === expected);
+		}
+
+		if (rule.type === 'tag') {
+			const tag = (value.startsWith('#') ? value : `#${value}`).toLowerCase();
+			return folder.children.some(child => {
+				if (!(child instanceof TFile) || child.extension !== 'md') return false;
+				const cache = metadataCache.getFileCache(child);
+				const tags = cache ? getAllTags(cache) || [] : [];
+				return tags.some(item => item.toLowerCase() === tag);
 			});
+		}
 
-			// 恢复展开状态
-			if (expandedStates[folderPath]) {
-				folderItem.addClass('expanded');
-				const expandIcon = folderItem.querySelector('.expand-icon');
-				if (expandIcon) {
-					expandIcon.textContent = '▼';
-				}
-				// 重新展开文件夹内容
-				setTimeout(() => {
-					this.expandFolder(folderItem, folderPath, this.plugin.app.vault.getAbstractFileByPath(folderPath));
-				}, 10);
-			}
-		});
+		return false;
 	}
 
-	toggleFolderExpansion(folderItem, folderPath) {
-		const folder = this.plugin.app.vault.getAbstractFileByPath(folderPath);
-		if (!folder || !(folder instanceof TFolder)) return;
-
-		// 检查是否已经展开
-		const isExpanded = folderItem.hasClass('expanded');
-		
-		if (isExpanded) {
-			// 折叠文件夹
-			this.collapseFolder(folderItem, folderPath);
-		} else {
-			// 展开文件夹
-			this.expandFolder(folderItem, folderPath, folder);
+	// 排除某个自动固定的文件夹
+	async excludeAutoPin(folderPath) {
+		const excluded = this.plugin.settings.autoPinExcluded;
+		if (!excluded.includes(folderPath)) {
+			excluded.push(folderPath);
 		}
+		await this.plugin.saveSettings();
 	}
 
-	expandFolder(folderItem, folderPath, folder) {
-		// 添加展开状态类
-		folderItem.addClass('expanded');
-		
-		// 更新展开箭头图标
-		const expandIcon = folderItem.querySelector('.expand-icon');
-		if (expandIcon) {
-			expandIcon.textContent = '▼';
-		}
+	async includeAutoPin(folderPath) {
+		this.plugin.settings.autoPinExcluded = this.plugin.settings.autoPinExcluded.filter(path => path !== folderPath);
+		await this.plugin.saveSettings();
+	}
 
-		// 创建子内容容器
-		let subContainer = folderItem.parentElement.querySelector(`.sub-folder-container[data-path="${folderPath}"]`);
-		if (!subContainer) {
-			subContainer = folderItem.parentElement.createDiv('sub-folder-container');
-			subContainer.setAttribute('data-path', folderPath);
-			subContainer.style.marginLeft = '20px';
-			subContainer.style.marginTop = '4px';
-			subContainer.style.borderLeft = '2px solid var(--background-modifier-border)';
-			subContainer.style.paddingLeft = '8px';
-			
-			// 插入到当前文件夹项之后
-			folderItem.parentElement.insertBefore(subContainer, folderItem.nextSibling);
-		}
+	// 切换自动固定、最近文件夹区域的折叠状态
+	toggleSectionCollapsed(key) {
+		this.plugin.settings[key] = !this.plugin.settings[key];
+		this.saveState();
+		this.requestRender();
+	}
 
-		// 标记容器为已展开，防止被重新渲染
-		const pinnedContainer = folderItem.closest('.pinned-folders-container');
-		if (pinnedContainer) {
-			pinnedContainer.setAttribute('data-has-expanded', 'true');
+	handleVaultChange(path) {
+		const affected = this.plugin.getProfile().pins.some(
+			pin => this.remapPath(pin.path, path, '') !== pin.path
+		);
+		const parentPath = path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '/';
+		const grandparentPath = parentPath.includes('/') ? parentPath.slice(0, parentPath.lastIndexOf('/')) : '/';
+		// 显示数量时，父文件夹所在的行（固定项或已展开文件夹中的行）也需要更新
+		const countAffected = this.plugin.settings.showItemCounts
+			&& (this.isPinned(parentPath) || this.isFolderExpanded(grandparentPath));
+		if (affected || countAffected || this.isFolderExpanded(parentPath)) {
+			this.requestRender();
+		}
+		// 固定项被删除或恢复时 list() 的结果会改变（缺失项不列出）
+		if (affected) {
+			this.notifyChange();
 		}
+	}
 
-		// 渲染子内容
-		this.renderSubFolderContent(subContainer, folder);
+	// 判断文件夹的子内容当前是否显示在固定区域中
+	isFolderExpanded(folderPath) {
+		return this.getPanels().some(panel => Array.from(panel.querySelectorAll('.sub-folder-container'))
+			.some(el => el.style.display !== 'none' && el.getAttribute('data-path') === folderPath));
 	}
 
-	collapseFolder(folderItem, folderPath) {
-		// 移除展开状态类
-		folderItem.removeClass('expanded');
-		
-		// 更新展开箭头图标
-		const expandIcon = folderItem.querySelector('.expand-icon');
-		if (expandIcon) {
-			expandIcon.textContent = '▶';
+	handleRename(file, oldPath) {
+		const changed = this.renamePinPaths(path => this.remapPath(path, oldPath, file.path));
+		if (changed) {
+			this.plugin.saveSettings();
+		} else {
+			// 重命名后的路径可能正好是某个缺失的固定项，或者移入/移出了已展开的文件夹
+			this.handleVaultChange(file.path);
+			this.handleVaultChange(oldPath);
 		}
+	}
 
-		// 隐藏子内容容器
-		const subContainer = folderItem.parentElement.querySelector(`.sub-folder-container[data-path="${folderPath}"]`);
-		if (subContainer) {
-			subContainer.style.display = 'none';
+	// 将 oldPath 及其下级路径映射到 newPath
+	remapPath(path, oldPath, newPath) {
+		if (path === oldPath) {
+			return newPath;
 		}
+		if (path.startsWith(oldPath + '/')) {
+			return newPath + path.slice(oldPath.length);
+		}
+		return path;
+	}
+
+	// 按映射函数更新所有配置集中的固定路径，保持原有顺序和分组并去重
+	renamePinPaths(mapper) {
+		let changed = false;
+		this.plugin.settings.profiles.forEach(profile => {
+			const result = [];
+			profile.pins.forEach(pin => {
+				const newPath = mapper(pin.path);
+				if (newPath !== pin.path) {
+					changed = true;
+				}
+				if (!result.some(existing => existing.path === newPath)) {
+					result.push(Object.assign({}, pin, { path: newPath }));
+				}
+			});
 
-		// 检查是否还有其他展开的文件夹，如果没有则清除展开标记
-		const pinnedContainer = folderItem.closest('.pinned-folders-container');
-		if (pinnedContainer) {
-			const hasOtherExpanded = pinnedContainer.querySelector('.pinned-folder-item.expanded');
-			if (!hasOtherExpanded) {
-				pinnedContainer.removeAttribute('data-has-expanded');
+			profile.pins = result;
+			const expanded = {};
+			Object.keys(profile.expanded).forEach(rootPath => {
+				expanded[mapper(rootPath)] = profile.expanded[rootPath].map(mapper);
+			});
+			profile.expanded = expanded;
+			profile.expired = profile.expired.map(item => Object.assign({}, item, { path: mapper(item.path) }));
+			if (profile.note && mapper(profile.note) !== profile.note) {
+				profile.note = mapper(profile.note);
+				changed = true;
 			}
+		});
+
+		const settings = this.plugin.settings;
+		const excluded = settings.autoPinExcluded.map(mapper);
+		if (excluded.some((path, index) => path !== settings.autoPinExcluded[index])) {
+			changed = true;
 		}
-	}
+		settings.autoPinExcluded = excluded.filter((path, index) => excluded.indexOf(path) === index);
 
-	renderSubFolderContent(container, folder) {
-		container.empty();
-		container.style.display = 'block';
+		// 使用记录跟随重命名，但不影响是否需要保存固定项
+		const history = {};
+		Object.keys(settings.folderHistory).forEach(path => {
+			history[mapper(path)] = settings.folderHistory[path];
+		});
+		settings.folderHistory = history;
+		return changed;
+	}
 
-		// 获取文件夹内容
-		const children = folder.children;
-		if (!children || children.length === 0) {
-			const emptyMsg = container.createDiv('empty-folder-message');
-			emptyMsg.textContent = 'Empty folder';
-			emptyMsg.style.color = 'var(--text-muted)';
-			emptyMsg.style.fontSize = '12px';
-			emptyMsg.style.fontStyle = 'italic';
-			emptyMsg.style.padding = '4px 8px';
+	// 将缺失的固定项重新指向新的文件夹或文件
+	async relocatePin(oldPath, newPath) {
+		if (this.isPinned(newPath)) {
+			new Notice(`Already pinned: ${newPath}`);
 			return;
 		}
+		this.renamePinPaths(path => path === oldPath ? newPath : path);
+		await this.plugin.saveSettings();
+		new Notice(`Relocated pin to: ${newPath}`);
+	}
 
-		// 按类型和名称排序
-		const sortedChildren = children.sort((a, b) => {
-			// 文件夹优先
-			if (a instanceof TFolder && b instanceof TFile) return -1;
-			if (a instanceof TFile && b instanceof TFolder) return 1;
-			// 同类型按名称排序
-			return a.name.localeCompare(b.name);
-		});
-
-		// 渲染子项
-		sortedChildren.forEach(child => {
-			const childItem = container.createDiv('sub-folder-item');
-			childItem.style.display = 'flex';
-			childItem.style.alignItems = 'center';
-			childItem.style.padding = '2px 8px';
-			childItem.style.borderRadius = '3px';
-			childItem.style.marginBottom = '1px';
-			childItem.style.cursor = 'pointer';
-			childItem.style.fontSize = '13px';
-			childItem.style.position = 'relative';
-
-			// 悬停效果
-			childItem.addEventListener('mouseenter', () => {
-				childItem.style.backgroundColor = 'var(--background-modifier-hover)';
-			});
-			childItem.addEventListener('mouseleave', () => {
-				childItem.style.backgroundColor = 'transparent';
-			});
-
-			// 图标
-			const icon = childItem.createEl('span', {
-				cls: 'item-icon'
-			});
-			if (child instanceof TFolder) {
-				icon.textContent = '📁';
-				icon.style.marginRight = '4px';
-				icon.style.fontSize = '12px';
-			} else {
-				icon.textContent = '📄';
-				icon.style.marginRight = '4px';
-				icon.style.fontSize = '12px';
-			}
+	isMissing(folderPath) {
+		return !this.plugin.app.vault.getAbstractFileByPath(folderPath);
+	}
 
-			// 名称
-			const name = childItem.createEl('span', {
-				text: child.name,
-				cls: 'item-name'
-			});
-			name.style.flex = '1';
-			name.style.color = 'var(--text-normal)';
+	// 获取需要在文件浏览器中显示的固定项（按排序，跳过缺失项）
+	getVisiblePins() {
+		return this.plugin.getProfile().pins.filter(pin => !this.isMissing(pin.path));
+	}
 
-			// 点击事件
-			childItem.addEventListener('click', (e) => {
-				e.stopPropagation();
-				if (child instanceof TFile) {
-					// 打开文件
-					this.plugin.app.workspace.openLinkText(child.path, '');
-				} else if (child instanceof TFolder) {
-					// 递归展开子文件夹
-					this.toggleSubFolderExpansion(childItem, child.path, child);
-				}
-			});
+	// 按固定区域中的显示顺序排列：未分组的在前，然后按分组顺序
+	getOrderedPins() {
+		const pins = this.getVisiblePins();
+		const groups = this.plugin.getProfile().groups;
+		return pins
+			.filter(pin => !this.getGroup(pin.group))
+			.concat(...groups.map(group => pins.filter(pin => pin.group === group.id)));
+	}
 
-			// 如果是文件夹，添加展开箭头
-			if (child instanceof TFolder) {
-				const expandIcon = childItem.createEl('span', {
-					cls: 'sub-expand-icon',
-					text: '▶'
-				});
-				expandIcon.style.marginLeft = '4px';
-				expandIcon.style.fontSize = '10px';
-				expandIcon.style.color = 'var(--text-muted)';
+	// 所有固定项（包括自动固定的文件夹）及其子文件/子文件夹，嵌套固定时去重
+	getPinnedItems() {
+		const items = new Map();
+		const collect = (file) => {
+			if (items.has(file.path)) return;
+			items.set(file.path, file);
+			if (file instanceof TFolder) {
+				file.children.forEach(collect);
 			}
+		};
+		const paths = this.getOrderedPins().map(pin => pin.path).concat(this.getAutoPins());
+		paths.forEach(path => {
+			const file = this.plugin.app.vault.getAbstractFileByPath(path);
+			if (file) collect(file);
 		});
+		return Array.from(items.values());
 	}
 
-	toggleSubFolderExpansion(subFolderItem, folderPath, folder) {
-		const isExpanded = subFolderItem.hasClass('expanded');
-		
-		if (isExpanded) {
-			// 折叠子文件夹
-			subFolderItem.removeClass('expanded');
-			const expandIcon = subFolderItem.querySelector('.sub-expand-icon');
-			if (expandIcon) {
-				expandIcon.textContent = '▶';
-			}
-			
-			const subContainer = subFolderItem.parentElement.querySelector(`.sub-sub-container[data-path="${folderPath}"]`);
-			if (subContainer) {
-				subContainer.style.display = 'none';
-			}
+	// 文件夹笔记：文件夹内的同名笔记，或与文件夹同级的同名笔记
+	getFolderNote(folder) {
+		const vault = this.plugin.app.vault;
+		const candidates = [`${folder.path}/${folder.name}.md`, `${folder.path}.md`];
+		for (const path of candidates) {
+			const note = vault.getAbstractFileByPath(normalizePath(path));
+			if (note instanceof TFile) return note;
+		}
+		return null;
+	}
+
+	// 打开固定项：文件直接打开，文件夹打开其文件夹笔记，没有则在文件浏览器中定位
+	openPinnedItem(file, evt) {
+		if (!file) return;
+		if (file instanceof TFile) {
+			this.openFile(file.path, evt);
+			return;
+		}
+		const note = this.getFolderNote(file);
+		if (note) {
+			this.openFile(note.path, evt);
 		} else {
-			// 展开子文件夹
-			subFolderItem.addClass('expanded');
-			const expandIcon = subFolderItem.querySelector('.sub-expand-icon');
-			if (expandIcon) {
-				expandIcon.textContent = '▼';
-			}
+			this.revealInExplorer(file);
+		}
+	}
 
-			// 创建子子容器
-			let subSubContainer = subFolderItem.parentElement.querySelector(`.sub-sub-container[data-path="${folderPath}"]`);
-			if (!subSubContainer) {
-				subSubContainer = subFolderItem.parentElement.createDiv('sub-sub-container');
-				subSubContainer.setAttribute('data-path', folderPath);
-				subSubContainer.style.marginLeft = '20px';
-				subSubContainer.style.marginTop = '2px';
-				subSubContainer.style.borderLeft = '1px solid var(--background-modifier-border)';
-				subSubContainer.style.paddingLeft = '6px';
-				
-				subFolderItem.parentElement.insertBefore(subSubContainer, subFolderItem.nextSibling);
-			}
+	initializeFileExplorer() {
+		const leaf = this.plugin.getFileExplorerLeaf();
+		const view = leaf ? leaf.view : null;
+		if (view === this.fileExplorer && (!view || this.injected === this.isInjectedMode())) return;
 
-			// 渲染子子内容
-			this.renderSubFolderContent(subSubContainer, folder);
-		}
+		// 文件浏览器被关闭或重新打开、或切换了显示位置时，先解除对旧视图的修改
+		this.detachFileExplorer();
+		this.fileExplorer = view;
+		this.hookFileExplorer();
 	}
 
-	sortWithPinnedFolders(items) {
-		const sortedItems = this.originalSort.call(this.fileExplorer, items);
-		
-		if (!this.plugin.settings.groupPinnedFolders) {
-			return sortedItems;
-		}
+	hookFileExplorer() {
+		if (!this.fileExplorer) return;
 
-		// 分离固定和非固定项目
-		const pinnedItems = [];
-		const unpinnedItems = [];
+		// 只使用独立视图时不修改文件浏览器
+		if (this.isInjectedMode()) {
+			// 保存原始排序方法
+			this.originalSort = this.fileExplorer.sort;
 
-		sortedItems.forEach(item => {
-			if (this.isPinned(item.file)) {
-				pinnedItems.push(item);
-			} else {
-				unpinnedItems.push(item);
-			}
-		});
+			// 重写排序方法
+			this.fileExplorer.sort = (items) => {
+				return this.sortWithPinnedFolders(items);
+			};
 
-		// 按固定顺序排序固定项目
-		pinnedItems.sort((a, b) => {
-			const aOrder = this.getPinOrder(a.file.path);
-			const bOrder = this.getPinOrder(b.file.path);
-			return aOrder - bOrder;
-		});
+			// 文件浏览器重新渲染时恢复固定容器和图标
+			this.observeFileExplorer();
+			this.injected = true;
+		}
 
-		return [...pinnedItems, ...unpinnedItems];
+		// 添加固定文件夹到顶部
+		this.refreshFileExplorer();
 	}
 
-	addPinIcons() {
-		if (!this.plugin.settings.showPinIcon || !this.fileExplorer) return;
+	isInjectedMode() {
+		return this.plugin.settings.displayMode !== 'view';
+	}
 
-		const fileItems = this.fileExplorer.fileItems;
-		if (!fileItems) return;
+	observeFileExplorer() {
+		const navFilesContainer = this.fileExplorer.containerEl
+			&& this.fileExplorer.containerEl.querySelector('.nav-files-container');
+		if (!navFilesContainer) return;
 
-		Object.values(fileItems).forEach((item) => {
-			if (item && item.file && item.titleEl) {
-				if (this.isPinned(item.file) && item.file instanceof TFolder) {
-					this.addPinIconToItem(item);
-				} else {
-					this.removePinIconFromItem(item);
-				}
+		// 只观察直接子元素：滚动时虚拟列表的增删不触发刷新；
+		// 固定容器仍在最前面时说明是自身插入，跳过以避免循环
+		this.explorerObserver = new MutationObserver(() => {
+			if (!this.pinnedContainerEl || navFilesContainer.firstChild !== this.pinnedContainerEl) {
+				this.requestRender();
 			}
 		});
+		this.explorerObserver.observe(navFilesContainer, { childList: true });
 	}
 
-	addPinIconToItem(item) {
-		if (item.titleEl.querySelector('.pin-icon')) return;
+	detachFileExplorer() {
+		if (this.explorerObserver) {
+			this.explorerObserver.disconnect();
+			this.explorerObserver = null;
+		}
+		if (this.fileExplorer && this.originalSort) {
+			this.fileExplorer.sort = this.originalSort;
+		}
+		this.originalSort = null;
+		this.injected = false;
 
-		const pinIcon = item.titleEl.createEl('span', {
-			cls: 'pin-icon',
-			text: '📌'
-		});
-		pinIcon.style.marginRight = '4px';
-		pinIcon.style.fontSize = '12px';
-		pinIcon.title = 'Pinned folder';
+		this.removePinIcons();
+		if (this.pinnedContainerEl) {
+			this.pinnedContainerEl.remove();
+			this.pinnedContainerEl = null;
+		}
+		this.fileExplorer = null;
 	}
 
-	removePinIconFromItem(item) {
-		const pinIcon = item.titleEl.querySelector('.pin-icon');
-		if (pinIcon) {
-			pinIcon.remove();
+	render() {
+		if (this.injected) {
+			this.addPinIcons();
+			this.addPinnedFoldersToTop();
 		}
+		this.viewPanels.forEach(panel => {
+			this.renderPinnedFoldersInContainer(panel);
+			this.updateRovingTabIndex(panel);
+			this.updateTreeAria(panel);
+		});
 	}
 
-	addContextMenu() {
-		this.plugin.registerEvent(
-			this.plugin.app.workspace.on('file-menu', (menu, file) => {
-				if (file instanceof TFolder) {
-					const isPinned = this.isPinned(file);
-					menu.addItem(item => {
-						item
-							.setTitle(isPinned ? 'Unpin folder' : 'Pin folder')
-							.setIcon(isPinned ? 'bookmark-minus' : 'bookmark-plus')
-							.onClick(() => {
-								this.togglePin(file.path);
-							});
-					});
-				}
-			})
-		);
+	// 创建固定面板，文件浏览器顶部和独立视图共用
+	createPanelEl(parentEl) {
+		const panel = parentEl ? parentEl.createDiv('pinned-folders-container') : createDiv('pinned-folders-container');
+		panel.addClass('pin-panel');
+		panel.setAttribute('role', 'tree');
+		panel.setAttribute('aria-label', 'Pinned folders');
+		this.registerKeyboardNavigation(panel);
+		return panel;
 	}
 
-	togglePin(folderPath) {
-		const isPinned = this.isPinned(folderPath);
-		
-		if (isPinned) {
-			this.unpinFolder(folderPath);
-			new Notice(`Unpinned folder: ${folderPath}`);
-		} else {
-			this.pinFolder(folderPath);
-			new Notice(`Pinned folder: ${folderPath}`);
-		}
-
-		this.plugin.saveSettings();
-		this.refreshFileExplorer();
+	addViewPanel(panel) {
+		this.viewPanels.add(panel);
+		this.autoPinsDirty = true;
+		this.render();
 	}
 
-	pinFolder(folderPath) {
-		if (!this.plugin.settings.pinnedFolders.includes(folderPath)) {
-			this.plugin.settings.pinnedFolders.push(folderPath);
-			this.plugin.settings.sortOrder.push(folderPath);
-		}
+	removeViewPanel(panel) {
+		this.viewPanels.delete(panel);
 	}
 
-	unpinFolder(folderPath) {
-		this.plugin.settings.pinnedFolders = this.plugin.settings.pinnedFolders.filter(
-			path => path !== folderPath
-		);
-		this.plugin.settings.sortOrder = this.plugin.settings.sortOrder.filter(
-			path => path !== folderPath
-		);
+	getPanels() {
+		return (this.pinnedContainerEl ? [this.pinnedContainerEl] : []).concat(Array.from(this.viewPanels));
 	}
 
-	unpinAll() {
-		this.plugin.settings.pinnedFolders = [];
-		this.plugin.settings.sortOrder = [];
-		this.plugin.saveSettings();
-		this.refreshFileExplorer();
-		new Notice('All folders unpinned');
-	}
+	addPinnedFoldersToTop() {
+		if (!this.fileExplorer) return;
 
-	isPinned(fileOrPath) {
-		const path = typeof fileOrPath === 'string' ? fileOrPath : fileOrPath.path;
-		return this.plugin.settings.pinnedFolders.includes(path);
-	}
+		const container = this.fileExplorer.containerEl;
+		if (!container) return;
 
-	getPinOrder(folderPath) {
-		const index = this.plugin.settings.sortOrder.indexOf(folderPath);
-		return index === -1 ? 999 : index;
-	}
+		const navFileContainer = container.querySelector('.nav-files-container');
+		if (!navFileContainer) return;
 
-	movePinOrder(fromIndex, toIndex) {
-		const item = this.plugin.settings.sortOrder.splice(fromIndex, 1)[0];
-		this.plugin.settings.sortOrder.splice(toIndex, 0, item);
-		this.plugin.saveSettings();
-		this.refreshFileExplorer();
-	}
+		// 查找或创建固定文件夹容器
+		let pinnedContainer = this.pinnedContainerEl;
+		if (!pinnedContainer) {
+			pinnedContainer = this.createPanelEl();
+			pinnedContainer.style.borderBottom = '1px solid var(--background-modifier-border)';
+			pinnedContainer.style.paddingBottom = '8px';
+			pinnedContainer.style.marginBottom = '8px';
+			this.pinnedContainerEl = pinnedContainer;
+		}
 
-	refreshFileExplorer() {
-		if (this.fileExplorer) {
-			// 强制重新排序
-			if (this.fileExplorer.requestSort) {
-				this.fileExplorer.requestSort();
-			}
-			// 延迟添加图标和固定文件夹容器
-			setTimeout(() => {
-				this.addPinIcons();
-				this.addPinnedFoldersToTop();
-			}, 500);
+		// 将固定文件夹容器保持在文件列表顶部（文件浏览器重新渲染后会被移除）
+		if (navFileContainer.firstChild !== pinnedContainer) {
+			navFileContainer.insertBefore(pinnedContainer, navFileContainer.firstChild);
+		}
+
+		if (!this.plugin.settings.groupPinnedFolders) {
+			// 如果设置关闭，隐藏容器
+			pinnedContainer.style.display = 'none';
+			return;
 		}
+
+		// 如果设置开启，显示容器
+		pinnedContainer.style.display = 'block';
+		this.renderPinnedFoldersInContainer(pinnedContainer);
+		this.updateRovingTabIndex(pinnedContainer);
+		this.updateTreeAria(pinnedContainer);
 	}
 
-	cleanup() {
-		if (this.fileExplorer && this.originalSort) {
-			this.fileExplorer.sort = this.originalSort;
+	renderPinnedFoldersInContainer(container) {
+		// 渲染固定文件夹和文件（缺失的固定项只在设置中显示），未分组的固定项排在最前
+		const pins = this.getVisiblePins();
+		const items = pins
+			.filter(pin => !this.getGroup(pin.group))
+			.map(pin => ({ pin }))
+			.concat(this.plugin.getProfile().groups.map(group => ({
+				group,
+				pins: pins.filter(pin => pin.group === group.id)
+			})));
+
+		// 自动固定的文件夹和最近文件夹单独显示在最后
+		const autoPins = this.getAutoPins();
+		if (autoPins.length > 0) {
+			items.push({ section: 'auto', paths: autoPins });
+		}
+		const recentFolders = this.getRecentFolders();
+		if (recentFolders.length > 0) {
+			items.push({ section: 'recent', paths: recentFolders });
 		}
+
+		reconcileChildren(container, items,
+			item => {
+				if (item.section) return `section:${item.section}`;
+				return item.group ? `group:${item.group.id}` : this.getPinKey(item.pin.path);
+			},
+			item => {
+				if (item.section) return this.createSectionEl(item.section);
+				return item.group ? this.createGroupEl(item.group.id) : this.createPinnedEntry(item.pin.path);
+			},
+			(el, item) => {
+				if (item.section) {
+					this.updateSectionEl(el, item.section, item.paths);
+				} else if (item.group) {
+					this.updateGroupEl(el, item.group, item.pins);
+				} else {
+					this.updatePinnedEntry(el, item.pin.path);
+				}
+			}
+		);
 	}
-}
 
-// 设置标签页类
-class SettingsTab extends PluginSettingTab {
-	constructor(app, plugin) {
-		super(app, plugin);
-		this.plugin = plugin;
+	// 自动固定、最近文件夹区域：与分组外观一致，可折叠
+	createSectionEl(section) {
+		const sectionEl = createDiv(`pin-group pin-${section}-group`);
+
+		const header = sectionEl.createDiv('pin-group-header');
+		this.makeTreeRow(header);
+		header.createEl('span', { cls: 'pin-group-collapse-icon' });
+		header.createEl('span', { text: section === 'auto' ? 'Auto-pinned' : 'Recent folders', cls: 'pin-group-name' });
+		header.createEl('span', { cls: 'pin-group-count' });
+
+		header.addEventListener('click', (e) => {
+			e.stopPropagation();
+			this.toggleSectionCollapsed(section === 'auto' ? 'autoPinsCollapsed' : 'recentFoldersCollapsed');
+		});
+
+		const body = sectionEl.createDiv('pin-group-body');
+		body.setAttribute('role', 'group');
+		return sectionEl;
 	}
 
-	display() {
-		const { containerEl } = this;
-		containerEl.empty();
+	updateSectionEl(sectionEl, section, paths) {
+		const settings = this.plugin.settings;
+		const collapsed = section === 'auto' ? settings.autoPinsCollapsed : settings.recentFoldersCollapsed;
+		sectionEl.toggleClass('is-collapsed', collapsed);
+		sectionEl.querySelector('.pin-group-collapse-icon').textContent = collapsed ? '▶' : '▼';
+		sectionEl.querySelector('.pin-group-count').textContent = String(paths.length);
+		sectionEl.querySelector('.pin-group-header').setAttribute('aria-expanded', String(!collapsed));
 
-		containerEl.createEl('h2', { text: 'Pin Folder Settings' });
+		const body = sectionEl.querySelector('.pin-group-body');
+		body.style.display = collapsed ? 'none' : '';
+		reconcileChildren(body, paths,
+			path => `${section}:${path}`,
+			path => this.createPinnedEntry(path, section),
+			(el, path) => this.updatePinnedEntry(el, path)
+		);
+	}
 
-		// 显示固定图标设置 - 已移除
+	// 同一路径从文件夹变为文件（或相反）时需要重新创建
+	getPinKey(folderPath) {
+		const file = this.plugin.app.vault.getAbstractFileByPath(folderPath);
+		return `${file instanceof TFile ? 'file' : 'folder'}:${folderPath}`;
+	}
+
+	createGroupEl(groupId) {
+		const groupEl = createDiv('pin-group');
+		groupEl.setAttribute('data-group-id', groupId);
+
+		// 分组标题，点击折叠/展开
+		const header = groupEl.createDiv('pin-group-header');
+		this.makeTreeRow(header);
+		header.createEl('span', { cls: 'pin-group-collapse-icon' });
+		header.createEl('span', { cls: 'pin-group-name' });
+		header.createEl('span', { cls: 'pin-group-count' });
+
+		header.addEventListener('click', (e) => {
+			e.stopPropagation();
+			this.toggleGroupCollapsed(groupId);
+		});
+
+		// 拖拽固定项到分组标题上，移动到该分组末尾
+		header.addEventListener('dragover', (e) => {
+			if (!this.plugin.settings.enableDragSort || !e.dataTransfer.types.includes(PIN_DRAG_TYPE)) return;
+			e.preventDefault();
+			e.dataTransfer.dropEffect = 'move';
+			header.addClass('is-drop-target');
+		});
+		header.addEventListener('dragleave', () => {
+			header.removeClass('is-drop-target');
+		});
+		header.addEventListener('drop', (e) => {
+			header.removeClass('is-drop-target');
+			const draggedPath = e.dataTransfer.getData(PIN_DRAG_TYPE);
+			if (!this.plugin.settings.enableDragSort || !draggedPath) return;
+			e.preventDefault();
+			e.stopPropagation();
+			this.movePinToGroup(draggedPath, groupId);
+		});
+
+		header.addEventListener('contextmenu', (e) => {
+			e.preventDefault();
+			const group = this.getGroup(groupId);
+			if (!group) return;
+			const menu = new Menu();
+			menu.addItem(item => {
+				item
+					.setTitle('Rename group')
+					.setIcon('pencil')
+					.onClick(() => {
+						new TextInputModal(this.plugin.app, 'Rename group', group.name, (name) => {
+							this.renameGroup(group.id, name);
+						}).open();
+					});
+			});
+			menu.addItem(item => {
+				item
+					.setTitle('Move group up')
+					.setIcon('arrow-up')
+					.onClick(() => {
+						this.moveGroup(group.id, -1);
+					});
+			});
+			menu.addItem(item => {
+				item
+					.setTitle('Move group down')
+					.setIcon('arrow-down')
+					.onClick(() => {
+						this.moveGroup(group.id, 1);
+					});
+			});
+			menu.addItem(item => {
+				item
+					.setTitle('New group')
+					.setIcon('folder-plus')
+					.onClick(() => {
+						new TextInputModal(this.plugin.app, 'New group', '', (name) => {
+							this.createGroup(name);
+						}).open();
+					});
+			});
+			menu.addSeparator();
+			menu.addItem(item => {
+				item
+					.setTitle('Delete group')
+					.setIcon('trash')
+					.onClick(() => {
+						this.deleteGroup(group.id);
+					});
+			});
+			menu.showAtPosition({ x: e.clientX, y: e.clientY });
+		});
+
+		const body = groupEl.createDiv('pin-group-body');
+		body.setAttribute('role', 'group');
+		return groupEl;
+	}
+
+	updateGroupEl(groupEl, group, groupPins) {
+		groupEl.toggleClass('is-collapsed', group.collapsed);
+		groupEl.querySelector('.pin-group-collapse-icon').textContent = group.collapsed ? '▶' : '▼';
+		groupEl.querySelector('.pin-group-name').textContent = group.name;
+		groupEl.querySelector('.pin-group-count').textContent = String(groupPins.length);
+		groupEl.querySelector('.pin-group-header').setAttribute('aria-expanded', String(!group.collapsed));
+
+		// 折叠时只隐藏内容，保留其中已展开的文件夹
+		const body = groupEl.querySelector('.pin-group-body');
+		body.style.display = group.collapsed ? 'none' : '';
+		reconcileChildren(body, groupPins,
+			pin => this.getPinKey(pin.path),
+			pin => this.createPinnedEntry(pin.path),
+			(el, pin) => this.updatePinnedEntry(el, pin.path)
+		);
+	}
+
+	// 固定项条目：包含固定项所在行以及展开后的子内容
+	// source 为 pin（手动固定）、auto（按规则自动固定）或 recent（最近文件夹）
+	createPinnedEntry(folderPath, source = 'pin') {
+		const pinnedFile = this.plugin.app.vault.getAbstractFileByPath(folderPath);
+		const isFile = pinnedFile instanceof TFile;
+		const isAuto = source === 'auto';
+		const isRecent = source === 'recent';
+
+		const entry = createDiv('pinned-folder-entry');
+		const folderItem = entry.createDiv('pinned-folder-item');
+		folderItem.setAttribute('data-folder-path', folderPath);
+		folderItem.setAttribute('data-pin-source', source);
+		this.makeTreeRow(folderItem);
+		if (isFile) {
+			folderItem.addClass('pinned-file-item');
+		} else {
+			folderItem.setAttribute('aria-expanded', 'false');
+		}
+		if (isAuto) {
+			folderItem.addClass('is-auto-pin');
+		} else if (isRecent) {
+			folderItem.addClass('is-recent-folder');
+		}
+		folderItem.style.display = 'flex';
+		folderItem.style.alignItems = 'center';
+		folderItem.style.padding = '4px 8px';
+		folderItem.style.borderRadius = '4px';
+		folderItem.style.marginBottom = '2px';
+		folderItem.style.cursor = 'pointer';
+		folderItem.style.fontSize = '14px';
+		folderItem.style.position = 'relative';
+
+		// 悬停效果
+		folderItem.addEventListener('mouseenter', () => {
+			folderItem.style.backgroundColor = 'var(--background-modifier-hover)';
+		});
+		folderItem.addEventListener('mouseleave', () => {
+			folderItem.style.backgroundColor = 'transparent';
+		});
+
+		// 点击展开/折叠文件夹内容 - 修复自动折叠问题；固定的文件直接打开
+		folderItem.addEventListener('click', (e) => {
+			e.stopPropagation(); // 防止事件冒泡
+			if (isFile) {
+				this.openFile(folderPath, e);
+			} else {
+				this.toggleTreeRow(folderItem, folderPath, folderPath);
+			}
+		});
+
+		// 固定图标（文件按类型显示图标）
+		const defaultIcon = isFile ? this.getFileIcon(pinnedFile) : ({ auto: '📍', recent: '🕘' }[source] || '📌');
+		const pinIcon = folderItem.createEl('span', {
+			text: defaultIcon,
+			cls: 'pin-icon'
+		});
+		pinIcon.setAttribute('data-default-icon', defaultIcon);
+		if (isAuto) {
+			pinIcon.setAttribute('aria-label', 'Auto-pinned');
+		} else if (isRecent) {
+			pinIcon.setAttribute('aria-label', 'Recently used');
+		}
+		pinIcon.style.marginRight = '6px';
+		pinIcon.style.fontSize = '12px';
+
+		// 文件夹名称（Markdown 文件不显示扩展名），别名和同名区分在 updatePinnedEntry 中更新
+		const folderName = folderItem.createEl('span', {
+			text: isFile ? this.getFileDisplayName(pinnedFile) : (folderPath.split('/').pop() || folderPath),
+			cls: 'folder-name'
+		});
+		folderName.setAttribute('data-default-name', folderName.textContent);
+		folderName.style.flex = '1';
+		folderName.style.color = 'var(--text-normal)';
+
+		// 子项数量和临时固定的剩余时间，在 updatePinnedEntry 中更新
+		folderItem.createEl('span', { cls: 'pin-item-count' });
+		folderItem.createEl('span', { cls: 'pin-expiry' });
+
+		// 展开箭头 - 修复重叠问题
+		const expandIcon = folderItem.createEl('span', {
+			cls: 'expand-icon',
+			text: '▶'
+		});
+		expandIcon.style.marginLeft = '4px';
+		expandIcon.style.marginRight = '20px'; // 为取消按钮留出空间
+		expandIcon.style.fontSize = '10px';
+		expandIcon.style.color = 'var(--text-muted)';
+		expandIcon.style.position = 'relative';
+		expandIcon.style.zIndex = '5';
+		if (isFile) {
+			// 文件没有子内容，仅保留占位
+			expandIcon.style.visibility = 'hidden';
+		}
+
+		// 右键菜单：原生文件菜单（"Unpin" 由 file-menu 事件添加）加上分组操作
+		folderItem.addEventListener('contextmenu', (e) => {
+			e.preventDefault();
+			e.stopPropagation();
+			const file = this.plugin.app.vault.getAbstractFileByPath(folderPath);
+			if (!file) return;
+			this.showFileContextMenu(e, file, (menu) => {
+				// 自动固定项和最近文件夹通过 file-menu 中的 "Pin folder" 转为手动固定
+				if (isAuto || isRecent) {
+					menu.addItem(item => {
+						item
+							.setTitle(isAuto ? 'Exclude from auto-pinning' : 'Remove from recent folders')
+							.setIcon(isAuto ? 'eye-off' : 'x')
+							.setSection('pin')
+							.onClick(() => {
+								this.removePinnedEntry(folderPath, source);
+							});
+					});
+					return;
+				}
+				menu.addItem(item => {
+					item
+						.setTitle('Edit appearance...')
+						.setIcon('palette')
+						.setSection('pin')
+						.onClick(() => {
+							new PinAppearanceModal(this.plugin.app, this, folderPath).open();
+						});
+				});
+				if (!isFile) {
+					menu.addItem(item => {
+						item
+							.setTitle('Sort contents...')
+							.setIcon('arrow-up-down')
+							.setSection('pin')
+							.onClick(() => {
+								new SortOrderSuggestModal(this.plugin.app, this, (sortOrder) => {
+									this.setPinSortOrder(folderPath, sortOrder);
+								}).open();
+							});
+					});
+					menu.addItem(item => {
+						item
+							.setTitle('Filter contents...')
+							.setIcon('filter')
+							.setSection('pin')
+							.onClick(() => {
+								new PinFilterModal(this.plugin.app, this, folderPath).open();
+							});
+					});
+				}
+				menu.addItem(item => {
+					item
+						.setTitle('Move to group...')
+						.setIcon('folder-input')
+						.setSection('pin')
+						.onClick(() => {
+							new GroupSuggestModal(this.plugin.app, this, (groupId) => {
+								this.movePinToGroup(folderPath, groupId);
+							}).open();
+						});
+				});
+				menu.addItem(item => {
+					item
+						.setTitle('Copy pin URI')
+						.setIcon('link')
+						.setSection('pin')
+						.onClick(() => {
+							this.copyPinUri(folderPath);
+						});
+				});
+			});
+		});
+
+		// 拖拽排序（自动固定项和最近文件夹的顺序由规则决定）
+		if (source === 'pin') {
+			this.registerPinDragSort(folderItem, folderPath);
+		}
+
+		// 固定的文件支持中键后台打开和悬停预览
+		if (isFile) {
+			this.registerFileLinkEvents(folderItem, folderPath);
+		}
+
+		// 固定文件夹可作为拖放目标，移动文件到其中
+		if (!isFile) {
+			this.registerFileDropTarget(folderItem, folderPath);
+		}
+
+		// 取消固定按钮（悬停时显示）；最近文件夹显示为一键固定按钮
+		const unpinButton = folderItem.createEl('button', {
+			text: isRecent ? '📌' : '×',
+			cls: 'unpin-button'
+		});
+		unpinButton.style.position = 'absolute';
+		unpinButton.style.right = '8px';
+		unpinButton.style.background = isRecent ? 'var(--interactive-accent)' : 'var(--background-error)';
+		unpinButton.style.color = 'var(--text-on-accent)';
+		unpinButton.style.border = 'none';
+		unpinButton.style.borderRadius = '50%';
+		unpinButton.style.width = '16px';
+		unpinButton.style.height = '16px';
+		unpinButton.style.fontSize = '10px';
+		unpinButton.style.cursor = 'pointer';
+		unpinButton.style.display = 'none';
+		unpinButton.style.lineHeight = '1';
+
+		// 悬停时显示取消固定按钮
+		folderItem.addEventListener('mouseenter', () => {
+			unpinButton.style.display = 'block';
+		});
+		folderItem.addEventListener('mouseleave', () => {
+			unpinButton.style.display = 'none';
+		});
+
+		unpinButton.setAttribute('aria-label', { auto: 'Exclude from auto-pinning', recent: 'Pin folder' }[source] || 'Unpin');
+
+		unpinButton.addEventListener('click', (e) => {
+			e.stopPropagation();
+			e.preventDefault();
+			if (isRecent) {
+				this.togglePin(folderPath);
+			} else {
+				this.removePinnedEntry(folderPath, source);
+			}
+		});
+
+		return entry;
+	}
+
+	// 从固定区域移除一行：取消固定、排除自动固定或从最近文件夹中删除
+	removePinnedEntry(folderPath, source) {
+		if (source === 'auto') {
+			this.excludeAutoPin(folderPath);
+		} else if (source === 'recent') {
+			this.removeRecentFolder(folderPath);
+		} else {
+			this.togglePin(folderPath);
+		}
+	}
+
+	// 同步拖拽设置和当前配置集保存的展开状态
+	updatePinnedEntry(entry, folderPath) {
+		const folderItem = entry.querySelector('.pinned-folder-item');
+		const isPin = folderItem.getAttribute('data-pin-source') === 'pin';
+		folderItem.setAttribute('draggable', String(this.plugin.settings.enableDragSort && isPin));
+
+		const pin = isPin ? this.getPin(folderPath) : null;
+		this.updatePinAppearance(folderItem, pin);
+
+		const expiryEl = folderItem.querySelector('.pin-expiry');
+		if (pin && pin.expires) {
+			expiryEl.textContent = `⏳${formatTimeLeft(pin.expires - Date.now())}`;
+			expiryEl.setAttribute('aria-label', `Expires ${new Date(pin.expires).toLocaleString()}`);
+			expiryEl.style.display = '';
+		} else {
+			expiryEl.style.display = 'none';
+		}
+
+		const folder = this.plugin.app.vault.getAbstractFileByPath(folderPath);
+		this.updateItemCount(folderItem, folder);
+		if (!(folder instanceof TFolder)) return;
+
+		this.syncTreeRow(folderItem, folder, folderPath);
+	}
+
+	// 应用别名、图标、强调色，同名固定项显示上级路径
+	updatePinAppearance(folderItem, pin) {
+		const iconEl = folderItem.querySelector('.pin-icon');
+		const icon = pin && pin.icon ? pin.icon : '';
+		if (iconEl.getAttribute('data-pin-icon') !== icon) {
+			iconEl.setAttribute('data-pin-icon', icon);
+			iconEl.empty();
+			if (icon) {
+				setIcon(iconEl, icon);
+			} else {
+				iconEl.textContent = iconEl.getAttribute('data-default-icon');
+			}
+		}
+
+		const nameEl = folderItem.querySelector('.folder-name');
+		const name = pin && pin.alias ? pin.alias : nameEl.getAttribute('data-default-name');
+		const hint = pin && !pin.alias ? this.getPinNameHint(pin.path) : '';
+		if (nameEl.textContent !== name + hint) {
+			nameEl.empty();
+			nameEl.appendText(name);
+			if (hint) {
+				nameEl.createEl('span', { text: hint, cls: 'pin-parent-path' });
+			}
+		}
+		if (pin && pin.alias) {
+			nameEl.setAttribute('aria-label', pin.path);
+		} else {
+			nameEl.removeAttribute('aria-label');
+		}
+
+		const color = pin && pin.color ? pin.color : '';
+		iconEl.style.color = color;
+		nameEl.style.color = color || 'var(--text-normal)';
+	}
+
+	// 固定树的展开状态按固定项（rootPath）保存，同一文件夹在不同固定项下互不影响
+	isTreeExpanded(rootPath, folderPath) {
+		const expanded = this.getExpandedStore(rootPath)[rootPath];
+		return !!expanded && expanded.includes(folderPath);
+	}
+
+	// 只有手动固定项的展开状态写入设置，自动固定和最近文件夹的根会不断变化
+	getExpandedStore(rootPath) {
+		return this.isPinned(rootPath) ? this.plugin.getProfile().expanded : this.transientExpanded;
+	}
+
+	setTreeExpanded(rootPath, folderPath, expanded) {
+		const store = this.getExpandedStore(rootPath);
+		const paths = (store[rootPath] || []).filter(path => path !== folderPath);
+		if (expanded) {
+			paths.push(folderPath);
+
+			// 手风琴模式：展开一个固定项时折叠其他固定项（保留它们内部的展开状态）
+			if (folderPath === rootPath && this.plugin.settings.accordionMode) {
+				[this.plugin.getProfile().expanded, this.transientExpanded].forEach(otherStore => {
+					Object.keys(otherStore).forEach(otherRoot => {
+						if (otherRoot === rootPath) return;
+						otherStore[otherRoot] = otherStore[otherRoot].filter(path => path !== otherRoot);
+						if (otherStore[otherRoot].length === 0) {
+							delete otherStore[otherRoot];
+						}
+					});
+				});
+			}
+		}
+
+		if (paths.length > 0) {
+			store[rootPath] = paths;
+		} else {
+			delete store[rootPath];
+		}
+		// 展开状态只影响固定面板，不需要 saveSettings 的写回笔记、重新排序和重新计算自动固定
+		this.saveState();
+		this.requestRender();
+	}
+
+	toggleTreeRow(rowEl, folderPath, rootPath) {
+		const folder = this.plugin.app.vault.getAbstractFileByPath(folderPath);
+		if (!(folder instanceof TFolder)) return;
+
+		const isExpanded = rowEl.hasClass('expanded');
+		if (isExpanded) {
+			this.collapseTreeRow(rowEl);
+		} else {
+			this.expandTreeRow(rowEl, folder, rootPath);
+		}
+		this.setTreeExpanded(rootPath, folderPath, !isExpanded);
+	}
+
+	// 按保存的展开状态展开或折叠一行；已展开时同样重新对比子内容，使其与文件库保持一致
+	syncTreeRow(rowEl, folder, rootPath) {
+		if (this.isTreeExpanded(rootPath, folder.path)) {
+			this.expandTreeRow(rowEl, folder, rootPath);
+		} else if (rowEl.hasClass('expanded')) {
+			this.collapseTreeRow(rowEl);
+		}
+	}
+
+	expandTreeRow(rowEl, folder, rootPath) {
+		rowEl.addClass('expanded');
+		rowEl.setAttribute('aria-expanded', 'true');
+		const expandIcon = rowEl.querySelector('.expand-icon, .sub-expand-icon');
+		if (expandIcon) {
+			expandIcon.textContent = '▼';
+		}
+
+		this.renderSubFolderContent(this.getChildContainer(rowEl, folder), folder, rootPath);
+	}
+
+	collapseTreeRow(rowEl) {
+		rowEl.removeClass('expanded');
+		rowEl.setAttribute('aria-expanded', 'false');
+		const expandIcon = rowEl.querySelector('.expand-icon, .sub-expand-icon');
+		if (expandIcon) {
+			expandIcon.textContent = '▶';
+		}
+
+		const childContainer = this.findChildContainer(rowEl);
+		if (childContainer) {
+			childContainer.style.display = 'none';
+		}
+	}
+
+	// 每一行与其子内容容器位于同一个条目元素中，直接查找子元素，不依赖路径选择器
+	findChildContainer(rowEl) {
+		return Array.from(rowEl.parentElement.children).find(el => el.hasClass('sub-folder-container')) || null;
+	}
+
+	getChildContainer(rowEl, folder) {
+		let childContainer = this.findChildContainer(rowEl);
+		if (!childContainer) {
+			// 固定项下的第一层与更深层级使用不同的缩进线
+			const isNested = rowEl.hasClass('sub-folder-item');
+			childContainer = createDiv('sub-folder-container');
+			childContainer.toggleClass('is-nested', isNested);
+			childContainer.setAttribute('role', 'group');
+			childContainer.style.marginLeft = '20px';
+			childContainer.style.marginTop = isNested ? '2px' : '4px';
+			childContainer.style.borderLeft = isNested
+				? '1px solid var(--background-modifier-border)'
+				: '2px solid var(--background-modifier-border)';
+			childContainer.style.paddingLeft = isNested ? '6px' : '8px';
+			rowEl.parentElement.insertBefore(childContainer, rowEl.nextSibling);
+		}
+		childContainer.setAttribute('data-path', folder.path);
+		return childContainer;
+	}
+
+	// 折叠当前配置集中的所有固定项
+	async collapseAll() {
+		this.plugin.getProfile().expanded = {};
+		this.transientExpanded = {};
+		await this.plugin.saveSettings();
+	}
+
+	// 将所有固定文件夹展开到指定层级（1 表示只展开固定项本身）
+	async expandToDepth(depth) {
+		const profile = this.plugin.getProfile();
+		const collect = (folder, level, paths) => {
+			if (level > depth) return;
+			paths.push(folder.path);
+			this.getVisibleChildren(folder)
+				.filter(child => child instanceof TFolder)
+				.forEach(child => collect(child, level + 1, paths));
+		};
+
+		profile.expanded = {};
+		this.transientExpanded = {};
+		this.getOrderedPins().forEach(pin => {
+			const folder = this.plugin.app.vault.getAbstractFileByPath(pin.path);
+			if (folder instanceof TFolder) {
+				const paths = [];
+				collect(folder, 1, paths);
+				profile.expanded[pin.path] = paths;
+			}
+		});
+		await this.plugin.saveSettings();
+	}
+
+	// 渲染展开后的子内容（任意层级）；重复调用时只更新有变化的条目，保留下级展开状态和滚动位置
+	renderSubFolderContent(container, folder, rootPath) {
+		container.style.display = 'block';
+
+		// 获取过滤后的文件夹内容
+		const children = this.getVisibleChildren(folder);
+		if (children.length === 0) {
+			const message = folder.children.length === 0 ? 'Empty folder' : 'No matching items';
+			reconcileChildren(container, [message], () => `empty:${message}`, () => {
+				const emptyMsg = createDiv('empty-folder-message');
+				emptyMsg.textContent = message;
+				emptyMsg.style.color = 'var(--text-muted)';
+				emptyMsg.style.fontSize = '12px';
+				emptyMsg.style.fontStyle = 'italic';
+				emptyMsg.style.padding = '4px 8px';
+				return emptyMsg;
+			}, () => {});
+			return;
+		}
+
+		// 排序副本，不修改文件库中的 folder.children
+		const sortOrder = this.getSortOrder(folder.path);
+		const sortedChildren = children.slice().sort((a, b) => compareByOrder(a, b, sortOrder));
+
+		// 渲染子项，下级文件夹按保存的展开状态递归渲染
+		reconcileChildren(container, sortedChildren,
+			child => `${child instanceof TFolder ? 'folder' : 'file'}:${child.path}`,
+			child => this.createSubFolderEntry(child, rootPath),
+			(entry, child) => {
+				if (child instanceof TFolder) {
+					const childItem = entry.querySelector('.sub-folder-item');
+					this.updateItemCount(childItem, child);
+					this.syncTreeRow(childItem, child, rootPath);
+				}
+			}
+		);
+	}
+
+	createSubFolderEntry(child, rootPath) {
+		const entry = createDiv('sub-folder-entry');
+		const childItem = entry.createDiv('sub-folder-item');
+		this.makeTreeRow(childItem);
+		if (child instanceof TFolder) {
+			childItem.setAttribute('aria-expanded', 'false');
+		}
+		childItem.style.display = 'flex';
+		childItem.style.alignItems = 'center';
+		childItem.style.padding = '2px 8px';
+		childItem.style.borderRadius = '3px';
+		childItem.style.marginBottom = '1px';
+		childItem.style.cursor = 'pointer';
+		childItem.style.fontSize = '13px';
+		childItem.style.position = 'relative';
+
+		// 悬停效果
+		childItem.addEventListener('mouseenter', () => {
+			childItem.style.backgroundColor = 'var(--background-modifier-hover)';
+		});
+		childItem.addEventListener('mouseleave', () => {
+			childItem.style.backgroundColor = 'transparent';
+		});
+
+		// 图标
+		const icon = childItem.createEl('span', {
+			cls: 'item-icon'
+		});
+		if (child instanceof TFolder) {
+			icon.textContent = '📁';
+			icon.style.marginRight = '4px';
+			icon.style.fontSize = '12px';
+		} else {
+			icon.textContent = this.getFileIcon(child);
+			icon.style.marginRight = '4px';
+			icon.style.fontSize = '12px';
+		}
+
+		// 名称
+		const name = childItem.createEl('span', {
+			text: child.name,
+			cls: 'item-name'
+		});
+		name.style.flex = '1';
+		name.style.color = 'var(--text-normal)';
+
+		// 点击事件
+		childItem.addEventListener('click', (e) => {
+			e.stopPropagation();
+			if (child instanceof TFile) {
+				// 打开文件（支持修饰键在新标签页/分屏/新窗口中打开）
+				this.openFile(child.path, e);
+			} else if (child instanceof TFolder) {
+				// 递归展开子文件夹
+				this.toggleTreeRow(childItem, child.path, rootPath);
+			}
+		});
+
+		// 右键菜单（文件夹会通过 file-menu 事件获得 "Pin folder"）
+		childItem.addEventListener('contextmenu', (e) => {
+			e.preventDefault();
+			e.stopPropagation();
+			this.showFileContextMenu(e, child);
+		});
+
+		if (child instanceof TFile) {
+			this.registerFileLinkEvents(childItem, child.path);
+		}
+
+		// 可拖拽到其他文件夹或编辑器，文件夹同时作为拖放目标
+		this.registerFileDragSource(childItem, child);
+		if (child instanceof TFolder) {
+			this.registerFileDropTarget(childItem, child.path);
+		}
+
+		// 如果是文件夹，添加数量和展开箭头
+		if (child instanceof TFolder) {
+			childItem.createEl('span', { cls: 'pin-item-count' });
+			this.updateItemCount(childItem, child);
+
+			const expandIcon = childItem.createEl('span', {
+				cls: 'sub-expand-icon',
+				text: '▶'
+			});
+			expandIcon.style.marginLeft = '4px';
+			expandIcon.style.fontSize = '10px';
+			expandIcon.style.color = 'var(--text-muted)';
+		}
+
+		return entry;
+	}
+
+	// 固定面板中的每一行都是 tree 中的一个 treeitem，使用 roving tabindex 管理焦点
+	makeTreeRow(el) {
+		el.addClass('pin-tree-row');
+		el.setAttribute('role', 'treeitem');
+		el.setAttribute('tabindex', '-1');
+	}
+
+	// 面板中当前可见的行（跳过折叠的分组和文件夹中的行）
+	getVisibleRows(container) {
+		if (!container) return [];
+		return Array.from(container.querySelectorAll('.pin-tree-row')).filter(row => {
+			for (let el = row; el && el !== container; el = el.parentElement) {
+				if (el.style.display === 'none') return false;
+			}
+			return true;
+		});
+	}
+
+	// 每个 group 容器与其 treeitem 是兄弟元素，屏幕阅读器无法从嵌套关系得出层级，
+	// 因此按所在的 group 层数为每一行设置 aria-level、aria-setsize 和 aria-posinset
+	updateTreeAria(container) {
+		const siblings = new Map();
+		container.querySelectorAll('.pin-tree-row').forEach(row => {
+			const parent = row.parentElement.closest('[role="group"], [role="tree"]');
+			if (!siblings.has(parent)) {
+				siblings.set(parent, []);
+			}
+			siblings.get(parent).push(row);
+		});
+
+		siblings.forEach((rows, parent) => {
+			let level = 1;
+			for (let el = parent; el && el !== container; el = el.parentElement) {
+				if (el.getAttribute('role') === 'group') {
+					level++;
+				}
+			}
+			rows.forEach((row, index) => {
+				row.setAttribute('aria-level', String(level));
+				row.setAttribute('aria-setsize', String(rows.length));
+				row.setAttribute('aria-posinset', String(index + 1));
+			});
+		});
+	}
+
+	// 保证面板中始终有且只有一行可以通过 Tab 键进入
+	updateRovingTabIndex(container) {
+		const rows = this.getVisibleRows(container);
+		const current = rows.find(row => row.getAttribute('tabindex') === '0') || rows[0];
+		container.querySelectorAll('.pin-tree-row').forEach(row => {
+			row.setAttribute('tabindex', row === current ? '0' : '-1');
+		});
+	}
+
+	focusRow(row) {
+		if (!row) return;
+		row.closest('.pin-panel').querySelectorAll('.pin-tree-row[tabindex="0"]').forEach(el => {
+			el.setAttribute('tabindex', '-1');
+		});
+		row.setAttribute('tabindex', '0');
+		row.focus();
+	}
+
+	// 从命令面板聚焦固定面板；只使用独立视图时先打开视图
+	async focusPinnedPanel() {
+		if (this.isInjectedMode()) {
+			const leaf = this.plugin.getFileExplorerLeaf();
+			if (leaf) {
+				this.plugin.app.workspace.revealLeaf(leaf);
+			}
+		} else {
+			await this.plugin.activatePinnedView();
+		}
+		const rows = this.getVisibleRows(this.getPanels()[0]);
+		if (rows.length === 0) {
+			new Notice('No pinned items');
+			return;
+		}
+		this.focusRow(rows.find(row => row.getAttribute('tabindex') === '0') || rows[0]);
+	}
+
+	registerKeyboardNavigation(container) {
+		// 点击等方式获得焦点时同步 roving tabindex
+		container.addEventListener('focusin', (e) => {
+			const row = e.target.closest('.pin-tree-row');
+			if (row && row.getAttribute('tabindex') !== '0') {
+				this.focusRow(row);
+			}
+		});
+
+		container.addEventListener('keydown', (e) => {
+			const row = e.target.closest('.pin-tree-row');
+			if (!row) return;
+			if (this.handleRowKeydown(e, row)) {
+				e.preventDefault();
+				e.stopPropagation();
+			}
+		});
+	}
+
+	// 处理行上的按键，返回是否已处理
+	handleRowKeydown(e, row) {
+		const rows = this.getVisibleRows(row.closest('.pin-panel'));
+		const index = rows.indexOf(row);
+		const expanded = row.getAttribute('aria-expanded');
+
+		switch (e.key) {
+			case 'ArrowDown':
+				this.focusRow(rows[index + 1]);
+				return true;
+			case 'ArrowUp':
+				this.focusRow(rows[index - 1]);
+				return true;
+			case 'Home':
+				this.focusRow(rows[0]);
+				return true;
+			case 'End':
+				this.focusRow(rows[rows.length - 1]);
+				return true;
+			case 'ArrowRight':
+				// 折叠时展开，已展开时移动到第一个子项
+				if (expanded === 'false') {
+					row.click();
+				} else if (expanded === 'true') {
+					this.focusRow(rows[index + 1]);
+				}
+				return true;
+			case 'ArrowLeft':
+				// 展开时折叠，否则移动到上级行
+				if (expanded === 'true') {
+					row.click();
+				} else {
+					this.focusRow(this.getParentRow(row));
+				}
+				return true;
+			case 'Enter':
+				// 保留修饰键，使 Ctrl/Cmd+Enter 等与点击的行为一致
+				row.dispatchEvent(new MouseEvent('click', {
+					bubbles: true,
+					ctrlKey: e.ctrlKey,
+					metaKey: e.metaKey,
+					altKey: e.altKey,
+					shiftKey: e.shiftKey
+				}));
+				return true;
+			case 'Delete':
+			case 'Backspace':
+				// 只能移除顶层的行：取消固定、排除自动固定或从最近文件夹中删除
+				if (row.hasClass('pinned-folder-item')) {
+					this.focusRow(rows[index + 1] || rows[index - 1]);
+					this.removePinnedEntry(row.getAttribute('data-folder-path'), row.getAttribute('data-pin-source'));
+					return true;
+				}
+				return false;
+		}
+
+		// 输入字符时跳转到第一个名称匹配的行
+		if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+			this.typeAhead(e.key, rows, index);
+			return true;
+		}
+		return false;
+	}
+
+	getParentRow(row) {
+		const group = row.parentElement.closest('.sub-folder-container, .pin-group-body');
+		if (!group || !row.closest('.pin-panel').contains(group)) return null;
+		return Array.from(group.parentElement.children).find(el => el.hasClass('pin-tree-row')) || null;
+	}
+
+	typeAhead(char, rows, index) {
+		window.clearTimeout(this.typeAheadTimer);
+		this.typeAheadTimer = window.setTimeout(() => {
+			this.typeAheadBuffer = '';
+		}, 500);
+		this.typeAheadBuffer += char.toLowerCase();
+
+		// 从当前行开始查找（重复输入同一字符时从下一行开始），到末尾后回到开头
+		const query = this.typeAheadBuffer;
+		const start = query.length === 1 ? index + 1 : index;
+		const ordered = rows.slice(start).concat(rows.slice(0, start));
+		const match = ordered.find(row => {
+			const label = row.querySelector('.folder-name, .item-name, .pin-group-name');
+			return label && label.textContent.toLowerCase().startsWith(query);
+		});
+		if (match) {
+			this.focusRow(match);
+		}
+	}
+
+	// 按原生文件浏览器的修饰键规则打开文件：
+	// Ctrl/Cmd 新标签页，Ctrl/Cmd+Alt 分屏，Ctrl/Cmd+Alt+Shift 新窗口
+	openFile(path, e) {
+		this.plugin.app.workspace.openLinkText(path, '', Keymap.isModEvent(e));
+	}
+
+	// 中键在后台标签页打开文件；悬停时触发 hover-link 以显示页面预览
+	registerFileLinkEvents(el, path) {
+		// 阻止中键按下时的自动滚动
+		el.addEventListener('mousedown', (e) => {
+			if (e.button === 1) e.preventDefault();
+		});
+		el.addEventListener('auxclick', (e) => {
+			if (e.button !== 1) return;
+			e.preventDefault();
+			e.stopPropagation();
+			const file = this.plugin.app.vault.getAbstractFileByPath(path);
+			if (file instanceof TFile) {
+				this.plugin.app.workspace.getLeaf('tab').openFile(file, { active: false });
+			}
+		});
+		el.addEventListener('mouseover', (e) => {
+			this.plugin.app.workspace.trigger('hover-link', {
+				event: e,
+				source: HOVER_SOURCE_ID,
+				hoverParent: this,
+				targetEl: el,
+				linktext: path,
+				sourcePath: ''
+			});
+		});
+	}
+
+	// 显示与原生文件浏览器一致的右键菜单，并通过 file-menu 事件让其他插件添加菜单项
+	showFileContextMenu(e, file, addItems) {
+		const app = this.plugin.app;
+		const menu = new Menu();
+
+		if (file instanceof TFile) {
+			menu.addItem(item => {
+				item
+					.setTitle('Open in new tab')
+					.setIcon('file-plus')
+					.setSection('open')
+					.onClick(() => app.workspace.getLeaf('tab').openFile(file));
+			});
+			menu.addItem(item => {
+				item
+					.setTitle('Open to the right')
+					.setIcon('separator-vertical')
+					.setSection('open')
+					.onClick(() => app.workspace.getLeaf('split').openFile(file));
+			});
+			menu.addItem(item => {
+				item
+					.setTitle('Open in new window')
+					.setIcon('maximize')
+					.setSection('open')
+					.onClick(() => app.workspace.getLeaf('window').openFile(file));
+			});
+			menu.addItem(item => {
+				item
+					.setTitle('Make a copy')
+					.setIcon('files')
+					.setSection('action')
+					.onClick(() => this.copyFile(file));
+			});
+		}
+
+		if (addItems) {
+			addItems(menu);
+		}
+
+		menu.addItem(item => {
+			item
+				.setTitle('Rename...')
+				.setIcon('pencil')
+				.setSection('action')
+				.onClick(() => this.promptRename(file));
+		});
+		menu.addItem(item => {
+			item
+				.setTitle('Reveal in navigation')
+				.setIcon('folder-open')
+				.setSection('action')
+				.onClick(() => this.revealInExplorer(file));
+		});
+		menu.addItem(item => {
+			item
+				.setTitle('Delete')
+				.setIcon('trash')
+				.setSection('danger')
+				.onClick(() => this.deleteFile(file));
+		});
+
+		app.workspace.trigger('file-menu', menu, file, 'file-explorer-context-menu', null);
+		menu.showAtMouseEvent(e);
+	}
+
+	promptRename(file) {
+		const isMarkdown = file instanceof TFile && file.extension === 'md';
+		const currentName = isMarkdown ? file.basename : file.name;
+
+		new TextInputModal(this.plugin.app, 'Rename', currentName, async (name) => {
+			const newName = isMarkdown ? `${name}.md` : name;
+			const parentPath = file.parent && !file.parent.isRoot() ? file.parent.path + '/' : '';
+			const newPath = normalizePath(parentPath + newName);
+			if (newPath === file.path) return;
+			if (this.plugin.app.vault.getAbstractFileByPath(newPath)) {
+				new Notice(`"${newName}" already exists`);
+				return;
+			}
+			await this.plugin.app.fileManager.renameFile(file, newPath);
+		}).open();
+	}
+
+	async copyFile(file) {
+		const vault = this.plugin.app.vault;
+		const parentPath = file.parent && !file.parent.isRoot() ? file.parent.path + '/' : '';
+		let index = 1;
+		let newPath = normalizePath(`${parentPath}${file.basename} ${index}.${file.extension}`);
+		while (vault.getAbstractFileByPath(newPath)) {
+			index++;
+			newPath = normalizePath(`${parentPath}${file.basename} ${index}.${file.extension}`);
+		}
+		await vault.copy(file, newPath);
+	}
+
+	async deleteFile(file) {
+		const label = file instanceof TFolder ? 'folder' : 'file';
+		if (!confirm(`Are you sure you want to delete the ${label} "${file.name}"?`)) return;
+
+		const fileManager = this.plugin.app.fileManager;
+		if (typeof fileManager.trashFile === 'function') {
+			await fileManager.trashFile(file);
+		} else {
+			await this.plugin.app.vault.trash(file, true);
+		}
+	}
+
+	revealInExplorer(file) {
+		if (this.fileExplorer && typeof this.fileExplorer.revealInFolder === 'function') {
+			this.fileExplorer.revealInFolder(file);
+		}
+	}
+
+	// 让展开树中的文件/文件夹可以像原生文件浏览器一样被拖拽
+	registerFileDragSource(el, file) {
+		const dragManager = this.plugin.app.dragManager;
+		if (!dragManager) return;
+
+		el.setAttribute('draggable', 'true');
+		el.addEventListener('dragstart', (e) => {
+			e.stopPropagation();
+			const dragData = file instanceof TFolder
+				? dragManager.dragFolder(e, file)
+				: dragManager.dragFile(e, file);
+			dragManager.onDragStart(e, dragData);
+		});
+	}
+
+	// 获取当前正在拖拽的文件（来自原生文件浏览器或固定区域）
+	getDraggedFiles() {
+		const dragManager = this.plugin.app.dragManager;
+		const draggable = dragManager && dragManager.draggable;
+		if (!draggable) return [];
+
+		if (draggable.type === 'file' || draggable.type === 'folder') {
+			return draggable.file ? [draggable.file] : [];
+		}
+		if (draggable.type === 'files') {
+			return draggable.files || [];
+		}
+		return [];
+	}
+
+	// 将文件夹行注册为拖放目标，拖入的文件会被移动到该文件夹
+	registerFileDropTarget(el, folderPath) {
+		el.addEventListener('dragover', (e) => {
+			if (e.dataTransfer.types.includes(PIN_DRAG_TYPE)) return;
+			const files = this.getDraggedFiles().filter(file => this.canMoveInto(file, folderPath));
+			if (files.length === 0) return;
+
+			e.preventDefault();
+			e.stopPropagation();
+			e.dataTransfer.dropEffect = 'move';
+			el.addClass('is-file-drop-target');
+		});
+
+		el.addEventListener('dragleave', () => {
+			el.removeClass('is-file-drop-target');
+		});
+
+		el.addEventListener('drop', (e) => {
+			el.removeClass('is-file-drop-target');
+			if (e.dataTransfer.types.includes(PIN_DRAG_TYPE)) return;
+			const files = this.getDraggedFiles().filter(file => this.canMoveInto(file, folderPath));
+			if (files.length === 0) return;
+
+			e.preventDefault();
+			e.stopPropagation();
+			this.moveFilesToFolder(files, folderPath);
+		});
+	}
+
+	// 文件已在目标文件夹中，或把文件夹拖入自身/子文件夹时不能移动
+	canMoveInto(file, folderPath) {
+		if (!file || !file.parent || file.parent.path === folderPath) return false;
+		if (file instanceof TFolder && (folderPath === file.path || folderPath.startsWith(file.path + '/'))) {
+			return false;
+		}
+		return true;
+	}
+
+	async moveFilesToFolder(files, folderPath) {
+		const vault = this.plugin.app.vault;
+		const moves = [];
+
+		for (const file of files) {
+			const newPath = normalizePath(`${folderPath}/${file.name}`);
+			if (vault.getAbstractFileByPath(newPath)) {
+				new Notice(`"${file.name}" already exists in ${folderPath}`);
+				continue;
+			}
+
+			const oldPath = file.path;
+			try {
+				await this.plugin.app.fileManager.renameFile(file, newPath);
+				moves.push({ file, oldPath });
+			} catch (error) {
+				console.error('Pin Folder: failed to move file', error);
+				new Notice(`Failed to move "${file.name}"`);
+			}
+		}
+
+		if (moves.length === 0) return;
+
+		// 提示移动结果，并提供撤销
+		const label = moves.length === 1 ? `"${moves[0].file.name}"` : `${moves.length} items`;
+		const notice = new Notice(createFragment(frag => {
+			frag.appendText(`Moved ${label} to ${folderPath}. `);
+			const undoLink = frag.createEl('a', { text: 'Undo', href: '#' });
+			undoLink.addEventListener('click', (e) => {
+				e.preventDefault();
+				notice.hide();
+				this.undoMoves(moves);
+			});
+		}), 8000);
+	}
+
+	async undoMoves(moves) {
+		const vault = this.plugin.app.vault;
+		let restored = 0;
+
+		for (const { file, oldPath } of moves.slice().reverse()) {
+			if (vault.getAbstractFileByPath(oldPath)) continue;
+			try {
+				await this.plugin.app.fileManager.renameFile(file, oldPath);
+				restored++;
+			} catch (error) {
+				console.error('Pin Folder: failed to undo move', error);
+			}
+		}
+
+		new Notice(restored === moves.length
+			? 'Move undone'
+			: `Restored ${restored} of ${moves.length} items`);
+	}
+
+	// 按文件类型返回图标
+	getFileIcon(file) {
+		switch (file.extension) {
+			case 'md':
+				return '📄';
+			case 'canvas':
+				return '🧩';
+			case 'pdf':
+				return '📕';
+			case 'png':
+			case 'jpg':
+			case 'jpeg':
+			case 'gif':
+			case 'svg':
+			case 'webp':
+				return '🖼️';
+			default:
+				return '📎';
+		}
+	}
+
+	getFileDisplayName(file) {
+		return file.extension === 'md' ? file.basename : file.name;
+	}
+
+	sortWithPinnedFolders(items) {
+		const sortedItems = this.originalSort.call(this.fileExplorer, items);
+		
+		if (!this.plugin.settings.groupPinnedFolders) {
+			return sortedItems;
+		}
+
+		// 分离固定和非固定项目
+		const pinnedItems = [];
+		const unpinnedItems = [];
+
+		sortedItems.forEach(item => {
+			if (this.isPinned(item.file)) {
+				pinnedItems.push(item);
+			} else {
+				unpinnedItems.push(item);
+			}
+		});
+
+		// 按固定顺序排序固定项目
+		pinnedItems.sort((a, b) => {
+			const aOrder = this.getPinOrder(a.file.path);
+			const bOrder = this.getPinOrder(b.file.path);
+			return aOrder - bOrder;
+		});
+
+		return [...pinnedItems, ...unpinnedItems];
+	}
+
+	// 只处理固定项和之前添加过图标的条目，不遍历整个文件浏览器
+	addPinIcons() {
+		if (!this.fileExplorer || !this.fileExplorer.fileItems) return;
+
+		const fileItems = this.fileExplorer.fileItems;
+		const pinnedPaths = this.plugin.settings.showPinIcon
+			? this.plugin.getProfile().pins.map(pin => pin.path)
+			: [];
+
+		this.decoratedPaths.forEach(path => {
+			if (!pinnedPaths.includes(path)) {
+				const item = fileItems[path];
+				if (item && item.titleEl) {
+					this.removePinIconFromItem(item);
+				}
+				this.decoratedPaths.delete(path);
+			}
+		});
+
+		pinnedPaths.forEach(path => {
+			const item = fileItems[path];
+			if (item && item.titleEl) {
+				this.addPinIconToItem(item);
+				this.decoratedPaths.add(path);
+			}
+		});
+	}
+
+	removePinIcons() {
+		const fileItems = this.fileExplorer && this.fileExplorer.fileItems;
+		if (fileItems) {
+			this.decoratedPaths.forEach(path => {
+				const item = fileItems[path];
+				if (item && item.titleEl) {
+					this.removePinIconFromItem(item);
+				}
+			});
+		}
+		this.decoratedPaths.clear();
+	}
+
+	addPinIconToItem(item) {
+		if (item.titleEl.querySelector('.pin-icon')) return;
+
+		const pinIcon = item.titleEl.createEl('span', {
+			cls: 'pin-icon',
+			text: '📌'
+		});
+		pinIcon.style.marginRight = '4px';
+		pinIcon.style.fontSize = '12px';
+		pinIcon.title = item.file instanceof TFile ? 'Pinned file' : 'Pinned folder';
+	}
+
+	removePinIconFromItem(item) {
+		const pinIcon = item.titleEl.querySelector('.pin-icon');
+		if (pinIcon) {
+			pinIcon.remove();
+		}
+	}
+
+	addContextMenu() {
+		this.plugin.registerEvent(
+			this.plugin.app.workspace.on('file-menu', (menu, file) => {
+				if (file instanceof TFolder || file instanceof TFile) {
+					const isPinned = this.isPinned(file);
+					const label = file instanceof TFile ? 'file' : 'folder';
+					menu.addItem(item => {
+						item
+							.setTitle(isPinned ? `Unpin ${label}` : `Pin ${label}`)
+							.setIcon(isPinned ? 'bookmark-minus' : 'bookmark-plus')
+							.onClick(() => {
+								this.togglePin(file.path);
+							});
+					});
+					// 临时固定，或修改已固定项的到期时间
+					menu.addItem(item => {
+						item
+							.setTitle(isPinned ? 'Set pin expiry...' : `Pin ${label} temporarily...`)
+							.setIcon('timer')
+							.onClick(() => {
+								new ExpirySuggestModal(this.plugin.app, isPinned, (expires) => {
+									this.setPinExpiry(file.path, expires);
+								}).open();
+							});
+					});
+				}
+			})
+		);
+
+		// 在文件浏览器中多选时批量固定或取消固定
+		this.plugin.registerEvent(
+			this.plugin.app.workspace.on('files-menu', (menu, files) => {
+				const items = files.filter(file => file instanceof TFile || (file instanceof TFolder && !file.isRoot()));
+				const unpinned = items.filter(file => !this.isPinned(file));
+				const pinned = items.filter(file => this.isPinned(file));
+
+				if (unpinned.length > 0) {
+					menu.addItem(item => {
+						item
+							.setTitle(`Pin ${describeCount(unpinned)}`)
+							.setIcon('bookmark-plus')
+							.onClick(async () => {
+								await this.pinPaths(unpinned.map(file => file.path));
+								new Notice(`Pinned ${describeCount(unpinned)}`);
+							});
+					});
+				}
+				if (pinned.length > 0) {
+					menu.addItem(item => {
+						item
+							.setTitle(`Unpin ${describeCount(pinned)}`)
+							.setIcon('bookmark-minus')
+							.onClick(async () => {
+								await this.unpinPaths(pinned.map(file => file.path));
+								new Notice(`Unpinned ${describeCount(pinned)}`);
+							});
+					});
+				}
+			})
+		);
+	}
+
+	// 设置到期时间（null 表示永久固定），未固定时先固定
+	async setPinExpiry(folderPath, expires) {
+		if (!this.isPinned(folderPath)) {
+			this.pinFolder(folderPath);
+		}
+		this.getPin(folderPath).expires = expires;
+		await this.plugin.saveSettings();
+		new Notice(expires
+			? `Pinned until ${new Date(expires).toLocaleString()}: ${folderPath}`
+			: `Pinned without expiry: ${folderPath}`);
+	}
+
+	// 延长到期时间：从当前到期时间（已过期则从现在）开始计算
+	async extendPinExpiry(folderPath, duration) {
+		const pin = this.getPin(folderPath);
+		if (!pin) return;
+		pin.expires = Math.max(pin.expires || 0, Date.now()) + duration;
+		await this.plugin.saveSettings();
+	}
+
+	// 将 "Recently expired" 中的条目重新固定（永久）
+	async restoreExpiredPin(folderPath) {
+		const profile = this.plugin.getProfile();
+		const item = profile.expired.find(expired => expired.path === folderPath);
+		profile.expired = profile.expired.filter(expired => expired.path !== folderPath);
+		if (item && !this.isPinned(folderPath)) {
+			this.pinFolder(folderPath, this.getGroup(item.group) ? item.group : null);
+		}
+		await this.plugin.saveSettings();
+	}
+
+	togglePin(folderPath) {
+		const isPinned = this.isPinned(folderPath);
+		const label = this.plugin.app.vault.getAbstractFileByPath(folderPath) instanceof TFile ? 'file' : 'folder';
+		
+		if (isPinned) {
+			this.unpinFolder(folderPath);
+			new Notice(`Unpinned ${label}: ${folderPath}`);
+		} else {
+			this.pinFolder(folderPath);
+			new Notice(`Pinned ${label}: ${folderPath}`);
+		}
+
+		this.plugin.saveSettings();
+		this.refreshFileExplorer();
+	}
+
+	pinFolder(folderPath, groupId = null, expires = null) {
+		if (!this.isPinned(folderPath)) {
+			this.plugin.getProfile().pins.push(createPin({ path: folderPath, group: groupId, expires }));
+		}
+	}
+
+	// 使用最近的上级固定项（或自身）设置的过滤规则，未设置则使用全局规则
+	getFilter(folderPath) {
+		const pin = this.plugin.getProfile().pins
+			.filter(pin => pin.filter && (folderPath === pin.path || folderPath.startsWith(pin.path + '/')))
+			.sort((a, b) => b.path.length - a.path.length)[0];
+		return pin ? pin.filter : this.plugin.settings.filters;
+	}
+
+	async setPinFilter(folderPath, filter) {
+		const pin = this.getPin(folderPath);
+		if (!pin) return;
+		pin.filter = filter;
+		await this.plugin.saveSettings();
+	}
+
+	isFilteredOut(file, filter) {
+		const app = this.plugin.app;
+
+		if (filter.followExcludedFiles && typeof app.metadataCache.isUserIgnored === 'function'
+			&& app.metadataCache.isUserIgnored(file.path)) {
+			return true;
+		}
+
+		const hidden = filter.hidePatterns.some(pattern => {
+			const trimmed = pattern.trim();
+			if (!trimmed) return false;
+			return globToRegExp(trimmed).test(trimmed.includes('/') ? file.path : file.name);
+		});
+		if (hidden) return true;
+
+		if (file instanceof TFolder) {
+			// 附件文件夹为固定路径时一并隐藏
+			const attachmentFolder = app.vault.getConfig('attachmentFolderPath');
+			return filter.hideAttachments && !!attachmentFolder && !attachmentFolder.startsWith('.')
+				&& file.path === normalizePath(attachmentFolder);
+		}
+
+		if (filter.hideAttachments && !['md', 'canvas'].includes(file.extension)) {
+			return true;
+		}
+
+		const extensions = filter.extensions.split(',')
+			.map(extension => extension.trim().replace(/^\./, '').toLowerCase())
+			.filter(Boolean);
+		return extensions.length > 0 && !extensions.includes(file.extension.toLowerCase());
+	}
+
+	getVisibleChildren(folder) {
+		const filter = this.getFilter(folder.path);
+		return (folder.children || []).filter(child => !this.isFilteredOut(child, filter));
+	}
+
+	// 在行上显示文件夹中（过滤后）的子项数量
+	updateItemCount(rowEl, folder) {
+		const countEl = rowEl.querySelector('.pin-item-count');
+		if (!countEl) return;
+		if (this.plugin.settings.showItemCounts && folder instanceof TFolder) {
+			countEl.textContent = String(this.getVisibleChildren(folder).length);
+			countEl.style.display = '';
+		} else {
+			countEl.style.display = 'none';
+		}
+	}
+
+	// 文件浏览器当前的排序方式
+	getExplorerSortOrder() {
+		const sortOrder = (this.fileExplorer && this.fileExplorer.sortOrder)
+			|| this.plugin.app.vault.getConfig('fileSortOrder');
+		return SORT_ORDERS[sortOrder] ? sortOrder : 'alphabetical';
+	}
+
+	// 使用最近的上级固定项（或自身）设置的排序方式，未设置则跟随文件浏览器
+	getSortOrder(folderPath) {
+		const pin = this.plugin.getProfile().pins
+			.filter(pin => pin.sort && (folderPath === pin.path || folderPath.startsWith(pin.path + '/')))
+			.sort((a, b) => b.path.length - a.path.length)[0];
+		return pin ? pin.sort : this.getExplorerSortOrder();
+	}
+
+	async setPinSortOrder(folderPath, sortOrder) {
+		const pin = this.getPin(folderPath);
+		if (!pin) return;
+		pin.sort = sortOrder;
+		await this.plugin.saveSettings();
+	}
+
+	// 修改固定项的别名、图标和强调色
+	async setPinAppearance(folderPath, appearance) {
+		const pin = this.getPin(folderPath);
+		if (!pin) return;
+		Object.assign(pin, appearance);
+		await this.plugin.saveSettings();
+	}
+
+	// 多个未设置别名的固定项同名时，返回用于区分的最短上级路径
+	getPinNameHint(folderPath) {
+		const baseName = path => path.split('/').pop();
+		const others = this.getVisiblePins()
+			.filter(pin => !pin.alias && pin.path !== folderPath && baseName(pin.path) === baseName(folderPath))
+			.map(pin => pin.path.split('/').slice(0, -1));
+		if (others.length === 0) return '';
+
+		const parents = folderPath.split('/').slice(0, -1);
+		for (let n = 1; n <= parents.length; n++) {
+			const suffix = parents.slice(-n).join('/');
+			if (!others.some(other => other.slice(-n).join('/') === suffix)) {
+				return suffix;
+			}
+		}
+		return parents.join('/') || '/';
+	}
+
+	unpinFolder(folderPath) {
+		const profile = this.plugin.getProfile();
+		profile.pins = profile.pins.filter(pin => pin.path !== folderPath);
+		delete profile.expanded[folderPath];
+	}
+
+	// 取消固定当前配置集中的所有项，并清除展开状态和最近到期列表
+	async unpinAll() {
+		const profile = this.plugin.getProfile();
+		profile.pins = [];
+		profile.expanded = {};
+		profile.expired = [];
+		await this.plugin.saveSettings();
+		new Notice('All folders unpinned');
+	}
+
+	getPin(fileOrPath) {
+		const path = typeof fileOrPath === 'string' ? fileOrPath : fileOrPath.path;
+		return this.plugin.getProfile().pins.find(pin => pin.path === path) || null;
+	}
+
+	isPinned(fileOrPath) {
+		return this.getPin(fileOrPath) !== null;
+	}
+
+	getPinOrder(folderPath) {
+		const index = this.plugin.getProfile().pins.findIndex(pin => pin.path === folderPath);
+		return index === -1 ? 999 : index;
+	}
+
+	movePinOrder(fromIndex, toIndex) {
+		const item = this.plugin.getProfile().pins.splice(fromIndex, 1)[0];
+		this.plugin.getProfile().pins.splice(toIndex, 0, item);
+		this.plugin.saveSettings();
+		this.refreshFileExplorer();
+	}
+
+	// 将固定项移动到目标固定项之前或之后，并加入目标所在分组
+	movePinTo(folderPath, targetPath, placeAfter) {
+		const pins = this.plugin.getProfile().pins;
+		const fromIndex = pins.findIndex(pin => pin.path === folderPath);
+		const targetIndex = pins.findIndex(pin => pin.path === targetPath);
+		if (fromIndex === -1 || targetIndex === -1 || fromIndex === targetIndex) return;
+
+		pins[fromIndex].group = pins[targetIndex].group;
+
+		let toIndex = placeAfter ? targetIndex + 1 : targetIndex;
+		if (fromIndex < toIndex) {
+			toIndex--;
+		}
+		this.movePinOrder(fromIndex, toIndex);
+	}
+
+	// 为固定项所在行启用拖拽排序，文件浏览器和设置页面共用
+	registerPinDragSort(el, folderPath, onMoved) {
+		const clearIndicator = () => {
+			el.removeClass('drop-before');
+			el.removeClass('drop-after');
+		};
+
+		el.setAttribute('draggable', String(this.plugin.settings.enableDragSort));
+
+		el.addEventListener('dragstart', (e) => {
+			if (!this.plugin.settings.enableDragSort) return;
+			e.stopPropagation();
+			e.dataTransfer.setData(PIN_DRAG_TYPE, folderPath);
+			e.dataTransfer.effectAllowed = 'move';
+			el.addClass('is-dragging');
+		});
+
+		el.addEventListener('dragend', () => {
+			el.removeClass('is-dragging');
+		});
+
+		el.addEventListener('dragover', (e) => {
+			if (!this.plugin.settings.enableDragSort || !e.dataTransfer.types.includes(PIN_DRAG_TYPE)) return;
+			e.preventDefault();
+			e.dataTransfer.dropEffect = 'move';
+			const placeAfter = isDropAfter(e, el);
+			el.toggleClass('drop-before', !placeAfter);
+			el.toggleClass('drop-after', placeAfter);
+		});
+
+		el.addEventListener('dragleave', clearIndicator);
+
+		el.addEventListener('drop', (e) => {
+			clearIndicator();
+			const draggedPath = e.dataTransfer.getData(PIN_DRAG_TYPE);
+			if (!this.plugin.settings.enableDragSort || !draggedPath) return;
+			e.preventDefault();
+			e.stopPropagation();
+			this.movePinTo(draggedPath, folderPath, isDropAfter(e, el));
+			if (onMoved) {
+				onMoved();
+			}
+		});
+	}
+
+	// 在同一分组内上移/下移固定项
+	movePinWithinGroup(folderPath, offset) {
+		const pins = this.plugin.getProfile().pins;
+		const fromIndex = pins.findIndex(pin => pin.path === folderPath);
+		if (fromIndex === -1) return;
+
+		const group = pins[fromIndex].group;
+		let toIndex = fromIndex + offset;
+		while (toIndex >= 0 && toIndex < pins.length && pins[toIndex].group !== group) {
+			toIndex += offset;
+		}
+		if (toIndex < 0 || toIndex >= pins.length) return;
+
+		this.movePinOrder(fromIndex, toIndex);
+	}
+
+	// 分组管理
+	getGroup(groupId) {
+		return this.plugin.getProfile().groups.find(group => group.id === groupId) || null;
+	}
+
+	createGroup(name) {
+		const group = {
+			id: createId(),
+			name: name,
+			collapsed: false
+		};
+		this.plugin.getProfile().groups.push(group);
+		this.plugin.saveSettings();
+		return group;
+	}
+
+	renameGroup(groupId, name) {
+		const group = this.getGroup(groupId);
+		if (!group) return;
+		group.name = name;
+		this.plugin.saveSettings();
+	}
+
+	// 删除分组，组内固定项移到未分组
+	deleteGroup(groupId) {
+		this.plugin.getProfile().groups = this.plugin.getProfile().groups.filter(group => group.id !== groupId);
+		this.plugin.getProfile().pins.forEach(pin => {
+			if (pin.group === groupId) {
+				pin.group = null;
+			}
+		});
+		this.plugin.saveSettings();
+	}
+
+	moveGroup(groupId, offset) {
+		const groups = this.plugin.getProfile().groups;
+		const fromIndex = groups.findIndex(group => group.id === groupId);
+		const toIndex = fromIndex + offset;
+		if (fromIndex === -1 || toIndex < 0 || toIndex >= groups.length) return;
+
+		const group = groups.splice(fromIndex, 1)[0];
+		groups.splice(toIndex, 0, group);
+		this.plugin.saveSettings();
+	}
+
+	toggleGroupCollapsed(groupId) {
+		const group = this.getGroup(groupId);
+		if (!group) return;
+		group.collapsed = !group.collapsed;
+		this.saveState();
+		this.requestRender();
+	}
+
+	// 移动固定项到指定分组（放到该分组末尾）
+	movePinToGroup(folderPath, groupId) {
+		const pins = this.plugin.getProfile().pins;
+		const index = pins.findIndex(pin => pin.path === folderPath);
+		if (index === -1) return;
+
+		const pin = pins.splice(index, 1)[0];
+		pin.group = groupId;
+		pins.push(pin);
+		this.plugin.saveSettings();
+	}
+
+	// 批量操作，只保存一次
+	async pinPaths(paths) {
+		paths.forEach(path => this.pinFolder(path));
+		await this.plugin.saveSettings();
+	}
+
+	async unpinPaths(paths) {
+		paths.forEach(path => this.unpinFolder(path));
+		await this.plugin.saveSettings();
+	}
+
+	// 批量移入分组，与 movePinToGroup 一样排在分组末尾，并保持相对顺序
+	async movePinsToGroup(paths, groupId) {
+		const profile = this.plugin.getProfile();
+		const selected = profile.pins.filter(pin => paths.includes(pin.path));
+		selected.forEach(pin => {
+			pin.group = groupId;
+		});
+		profile.pins = profile.pins.filter(pin => !paths.includes(pin.path)).concat(selected);
+		await this.plugin.saveSettings();
+	}
+
+	// 批量移到所在分组的最前或最后
+	async movePinsToEdge(paths, toTop) {
+		const profile = this.plugin.getProfile();
+		const selected = profile.pins.filter(pin => paths.includes(pin.path));
+		const rest = profile.pins.filter(pin => !paths.includes(pin.path));
+		profile.pins = toTop ? selected.concat(rest) : rest.concat(selected);
+		await this.plugin.saveSettings();
+	}
+
+	// 配置集管理
+	getProfileById(profileId) {
+		return this.plugin.settings.profiles.find(profile => profile.id === profileId) || null;
+	}
+
+	async switchProfile(profileId) {
+		const profile = this.getProfileById(profileId);
+		if (!profile || profile.id === this.plugin.settings.activeProfileId) return;
+
+		this.plugin.settings.activeProfileId = profile.id;
+		try {
+			await this.loadPinsNote();
+		} catch (error) {
+			new Notice(`Failed to read pins note: ${error.message}`);
+		}
+		await this.plugin.saveSettings();
+		new Notice(`Switched to pin profile: ${profile.name}`);
+	}
+
+	// 新建配置集，可复制已有配置集的固定项和分组
+	addProfile(name, copyFrom = null) {
+		const data = copyFrom ? JSON.parse(JSON.stringify({
+			pins: copyFrom.pins,
+			groups: copyFrom.groups,
+			expanded: copyFrom.expanded
+		})) : {};
+		const profile = createProfile(name, data);
+		this.plugin.settings.profiles.push(profile);
+		this.plugin.saveSettings();
+		return profile;
+	}
+
+	renameProfile(profileId, name) {
+		const profile = this.getProfileById(profileId);
+		if (!profile) return;
+		profile.name = name;
+		this.plugin.saveSettings();
+	}
+
+	// 删除配置集（至少保留一个）
+	deleteProfile(profileId) {
+		const profiles = this.plugin.settings.profiles;
+		if (profiles.length <= 1) return;
+
+		this.plugin.settings.profiles = profiles.filter(profile => profile.id !== profileId);
+		if (this.plugin.settings.activeProfileId === profileId) {
+			this.plugin.settings.activeProfileId = this.plugin.settings.profiles[0].id;
+		}
+		this.plugin.saveSettings();
+	}
+
+	// 导出当前配置集的固定项（按顺序，含别名、排序、过滤等设置）、分组和自动固定规则
+	exportPinConfig() {
+		const profile = this.plugin.getProfile();
+		return JSON.parse(JSON.stringify({
+			version: PIN_CONFIG_VERSION,
+			pins: profile.pins,
+			groups: profile.groups,
+			autoPinRules: this.plugin.settings.autoPinRules
+		}));
+	}
+
+	// 导入固定配置到当前配置集：replace 替换当前配置集的固定项和分组，merge 追加到末尾
+	// 同名分组合并，已固定的路径和重复的规则跳过；自动固定规则由所有配置集共用，总是合并
+	// data 需已经过 sanitizePin 校验；返回 { added, duplicates, missing }
+	async importPinConfig(data, mode) {
+		const settings = this.plugin.settings;
+		const profile = this.plugin.getProfile();
+		if (mode === 'replace') {
+			profile.pins = [];
+			profile.groups = [];
+			profile.expanded = {};
+		}
+
+		// 导入的分组 id 映射到当前配置集中的同名分组
+		const groupIds = {};
+		(data.groups || []).forEach(group => {
+			let target = profile.groups.find(item => item.name === group.name);
+			if (!target) {
+				target = { id: createId(), name: group.name, collapsed: !!group.collapsed };
+				profile.groups.push(target);
+			}
+			groupIds[group.id] = target.id;
+		});
+
+		const result = { added: 0, duplicates: 0, missing: [] };
+		data.pins.forEach(item => {
+			const path = normalizePath(item.path);
+			if (this.isPinned(path)) {
+				result.duplicates++;
+				return;
+			}
+			profile.pins.push(createPin(Object.assign({}, item, { path, group: groupIds[item.group] || null })));
+			result.added++;
+			if (this.isMissing(path)) {
+				result.missing.push(path);
+			}
+		});
+
+		(data.autoPinRules || []).forEach(rule => {
+			if (!settings.autoPinRules.some(item => item.type === rule.type && item.value === rule.value)) {
+				settings.autoPinRules.push({ type: rule.type, value: rule.value });
+			}
+		});
+
+		await this.plugin.saveSettings();
+		return result;
+	}
+
+	// 打开固定项的 obsidian:// 链接，使用路径而不是序号，调整顺序后仍然有效
+	getPinUri(folderPath) {
+		const vaultName = encodeURIComponent(this.plugin.app.vault.getName());
+		return `obsidian://${URI_ACTION}?vault=${vaultName}&action=open&path=${encodeURIComponent(folderPath)}`;
+	}
+
+	async copyPinUri(folderPath) {
+		try {
+			await navigator.clipboard.writeText(this.getPinUri(folderPath));
+			new Notice('Pin URI copied to clipboard');
+		} catch (error) {
+			new Notice(`Failed to copy pin URI: ${error.message}`);
+		}
+	}
+
+	// 当前配置集的固定项改变（包括切换配置集）时通知其他插件
+	notifyChange() {
+		const pins = this.plugin.api.list();
+		const signature = JSON.stringify(pins);
+		if (this.changeSignature === null || signature === this.changeSignature) return;
+		this.changeSignature = signature;
+		this.plugin.app.workspace.trigger(PIN_CHANGED_EVENT, pins);
+	}
+
+	// 选择笔记前判断以哪一方为准：笔记不存在或没有固定项时写入当前固定项（export），
+	// 当前配置集为空或内容相同时读取笔记（import）；两边都有且不同时返回 null，由用户选择
+	async getPinsNoteMode(notePath) {
+		const vault = this.plugin.app.vault;
+		const file = vault.getAbstractFileByPath(normalizePinsNotePath(notePath));
+		if (!(file instanceof TFile)) return 'export';
+
+		const text = await vault.read(file);
+		const parsed = parsePinsNote(text);
+		const profile = this.plugin.getProfile();
+		if (parsed.pins.length === 0 && parsed.groups.length === 0) return 'export';
+		if (profile.pins.length === 0 && profile.groups.length === 0) return 'import';
+		return getPinsNoteSection(text) === this.serializePinsNote(profile) ? 'import' : null;
+	}
+
+	// 设置当前配置集同步的笔记；mode 为 import 时从已存在的笔记读取固定项，为 export 时把当前固定项写入笔记
+	async setPinsNote(notePath, mode = 'import') {
+		const profile = this.plugin.getProfile();
+		profile.note = normalizePinsNotePath(notePath);
+		if (mode === 'export') {
+			this.pinsNoteSynced = null;
+			await this.writePinsNote();
+		} else {
+			await this.loadPinsNote();
+		}
+		await this.plugin.saveSettings();
+		if (profile.note) {
+			new Notice(`Pins are now synced with ${profile.note}`);
+		}
+	}
+
+	// 返回固定项是否被笔记内容更新，由调用方决定何时保存
+	async loadPinsNote() {
+		const profile = this.plugin.getProfile();
+		this.pinsNoteSynced = null;
+		if (!profile.note) return false;
+
+		const file = this.plugin.app.vault.getAbstractFileByPath(profile.note);
+		if (file instanceof TFile) {
+			return this.applyPinsNote(file);
+		}
+		await this.writePinsNote();
+		return false;
+	}
+
+	async readPinsNote(file) {
+		try {
+			if (await this.applyPinsNote(file)) {
+				await this.plugin.saveSettings();
+			}
+		} catch (error) {
+			new Notice(`Failed to read pins note: ${error.message}`);
+		}
+	}
+
+	// 用笔记内容更新当前配置集的固定项和分组，保留已有固定项的图标、颜色、排序等设置
+	async applyPinsNote(file) {
+		const text = await this.plugin.app.vault.read(file);
+		if (getPinsNoteSection(text) === this.pinsNoteSynced) return false;
+
+		const profile = this.plugin.getProfile();
+		const parsed = parsePinsNote(text);
+		const groups = parsed.groups.map(name =>
+			profile.groups.find(group => group.name === name) || { id: createId(), name, collapsed: false }
+		);
+		const pins = [];
+		parsed.pins.forEach(item => {
+			const path = this.resolvePinLink(item.link, file.path);
+			if (pins.some(pin => pin.path === path)) return;
+			const group = item.group === null ? null : groups.find(entry => entry.name === item.group).id;
+			const existing = profile.pins.find(pin => pin.path === path);
+			pins.push(createPin(Object.assign({}, existing, { path, group, alias: item.alias })));
+		});
+
+		profile.groups = groups;
+		profile.pins = pins;
+		this.pinsNoteSynced = this.serializePinsNote(profile);
+		return true;
+	}
+
+	// 链接可以是完整路径（包括文件夹），也可以是 Obsidian 能解析的笔记链接
+	resolvePinLink(link, sourcePath) {
+		// 先按完整文本解析（如 "C# notes"），解析不到时再去掉 #标题 或 ^块引用 后缀
+		const candidates = [link];
+		const suffixIndex = link.search(/[#^]/);
+		if (suffixIndex > 0) {
+			candidates.push(link.slice(0, suffixIndex).trim());
+		}
+
+		for (const candidate of candidates) {
+			const path = normalizePath(candidate);
+			if (this.plugin.app.vault.getAbstractFileByPath(path)) return path;
+			const file = this.plugin.app.metadataCache.getFirstLinkpathDest(candidate, sourcePath);
+			if (file) return file.path;
+		}
+		// 插件写入的总是完整路径，找不到时按缺失的固定项保留完整文本
+		return normalizePath(link);
+	}
+
+	serializePinsNote(profile) {
+		// 始终写入带扩展名的完整路径：去掉 .md 后可能与同名文件夹（如同级的文件夹笔记）混淆
+		const toLine = (pin) => `- [[${pin.path}${pin.alias ? `|${pin.alias}` : ''}]]`;
+		const lines = profile.pins
+			.filter(pin => !profile.groups.some(group => group.id === pin.group))
+			.map(toLine);
+		profile.groups.forEach(group => {
+			if (lines.length > 0) {
+				lines.push('');
+			}
+			lines.push(`## ${group.name}`);
+			profile.pins.filter(pin => pin.group === group.id).forEach(pin => lines.push(toLine(pin)));
+		});
+		return lines.join('\n') + '\n';
+	}
+
+	// 固定项或分组改变后写回笔记（内容未变时跳过）
+	async writePinsNote() {
+		const profile = this.plugin.getProfile();
+		if (!profile.note) return;
+
+		const text = this.serializePinsNote(profile);
+		if (text === this.pinsNoteSynced) return;
+		this.pinsNoteSynced = text;
+
+		const vault = this.plugin.app.vault;
+		try {
+			const file = vault.getAbstractFileByPath(profile.note);
+			if (file instanceof TFile) {
+				await vault.process(file, data => replacePinsNoteSection(data, text));
+			} else if (!file) {
+				const parentPath = profile.note.substring(0, profile.note.lastIndexOf('/'));
+				if (parentPath && !vault.getAbstractFileByPath(parentPath)) {
+					await vault.createFolder(parentPath);
+				}
+				await vault.create(profile.note, replacePinsNoteSection('', text));
+			}
+		} catch (error) {
+			new Notice(`Failed to update pins note: ${error.message}`);
+		}
+	}
+
+	// 加载已保存的工作区时切换到关联的配置集
+	syncProfileWithWorkspace() {
+		const workspaces = this.plugin.app.internalPlugins && this.plugin.app.internalPlugins.getPluginById('workspaces');
+		const instance = workspaces && workspaces.enabled ? workspaces.instance : null;
+		if (!instance) return;
+
+		this.hookWorkspaceLoads(instance);
+		const activeWorkspace = instance.activeWorkspace;
+		const loadKey = `${this.workspaceLoads}:${activeWorkspace}`;
+		if (!activeWorkspace || loadKey === this.lastWorkspace) return;
+
+		this.lastWorkspace = loadKey;
+		const profile = this.plugin.settings.profiles.find(item => item.workspace === activeWorkspace);
+		if (profile) {
+			this.switchProfile(profile.id);
+		}
+	}
+
+	hookWorkspaceLoads(instance) {
+		if (this.workspacesInstance === instance || typeof instance.loadWorkspace !== 'function') return;
+
+		this.unhookWorkspaceLoads();
+		const originalLoadWorkspace = instance.loadWorkspace;
+		this.workspacesInstance = instance;
+		this.originalLoadWorkspace = originalLoadWorkspace;
+		instance.loadWorkspace = (...args) => {
+			this.workspaceLoads++;
+			return originalLoadWorkspace.apply(instance, args);
+		};
+	}
+
+	unhookWorkspaceLoads() {
+		if (this.workspacesInstance && this.originalLoadWorkspace) {
+			this.workspacesInstance.loadWorkspace = this.originalLoadWorkspace;
+		}
+		this.workspacesInstance = null;
+		this.originalLoadWorkspace = null;
+	}
+
+	refreshFileExplorer() {
+		// 强制重新排序（未注入时恢复文件浏览器的原始顺序）
+		if (this.fileExplorer && this.fileExplorer.requestSort) {
+			this.fileExplorer.requestSort();
+		}
+		// 合并刷新图标和固定面板；固定项或规则可能已改变
+		this.autoPinsDirty = true;
+		this.requestRender();
+	}
+
+	cleanup() {
+		this.requestRender.cancel();
+		window.clearTimeout(this.typeAheadTimer);
+		this.detachFileExplorer();
+		this.unhookWorkspaceLoads();
+		this.viewPanels.clear();
+	}
+}
+
+// 公开 API，作用于当前配置集；路径参数也可以传入 TFile/TFolder
+class PinFolderApi {
+	constructor(plugin) {
+		this.plugin = plugin;
+	}
+
+	// 固定文件夹或文件，options: { group, expires, alias, icon, color }
+	// group 为分组名称（不存在时创建），expires 为到期时间戳；返回是否新固定
+	async pin(fileOrPath, options = {}) {
+		const pinManager = this.plugin.pinManager;
+		const path = this.toPath(fileOrPath);
+		if (!this.plugin.app.vault.getAbstractFileByPath(path) || pinManager.isPinned(path)) {
+			return false;
+		}
+
+		// 直接添加分组而不使用 createGroup，避免在下面的保存之前多保存一次
+		let groupId = null;
+		if (options.group) {
+			const groups = this.plugin.getProfile().groups;
+			let group = groups.find(item => item.name === options.group);
+			if (!group) {
+				group = { id: createId(), name: options.group, collapsed: false };
+				groups.push(group);
+			}
+			groupId = group.id;
+		}
+		pinManager.pinFolder(path, groupId, options.expires || null);
+		const pin = pinManager.getPin(path);
+		['alias', 'icon', 'color'].forEach(key => {
+			if (options[key]) {
+				pin[key] = options[key];
+			}
+		});
+		await this.plugin.saveSettings();
+		return true;
+	}
+
+	// 取消固定，返回之前是否已固定
+	async unpin(fileOrPath) {
+		const path = this.toPath(fileOrPath);
+		if (!this.plugin.pinManager.isPinned(path)) return false;
+		this.plugin.pinManager.unpinFolder(path);
+		await this.plugin.saveSettings();
+		return true;
+	}
+
+	isPinned(fileOrPath) {
+		return this.plugin.pinManager.isPinned(this.toPath(fileOrPath));
+	}
+
+	// 按固定区域中的显示顺序（先未分组，再按分组）返回固定项的副本，与 "Open pinned item N" 的序号一致
+	// 不含缺失的固定项、自动固定和最近文件夹
+	list() {
+		const profile = this.plugin.getProfile();
+		return this.plugin.pinManager.getOrderedPins().map(pin => {
+			const group = profile.groups.find(item => item.id === pin.group);
+			return {
+				path: pin.path,
+				group: group ? group.name : null,
+				expires: pin.expires,
+				alias: pin.alias,
+				icon: pin.icon,
+				color: pin.color
+			};
+		});
+	}
+
+	// 按给定路径的顺序排列固定项，未列出的固定项保持原有顺序排在后面
+	async reorder(paths) {
+		const order = paths.map(item => this.toPath(item));
+		const pins = this.plugin.getProfile().pins;
+		const listed = order
+			.map(path => pins.find(pin => pin.path === path))
+			.filter((pin, index, all) => pin && all.indexOf(pin) === index);
+		const rest = pins.filter(pin => !listed.includes(pin));
+		this.plugin.getProfile().pins = listed.concat(rest);
+		await this.plugin.saveSettings();
+	}
+
+	// 订阅固定项变化，回调参数与 list() 相同；返回取消订阅的函数
+	onChange(callback) {
+		const workspace = this.plugin.app.workspace;
+		const ref = workspace.on(PIN_CHANGED_EVENT, callback);
+		this.plugin.registerEvent(ref);
+		return () => workspace.offref(ref);
+	}
+
+	toPath(fileOrPath) {
+		return typeof fileOrPath === 'string' ? normalizePath(fileOrPath) : fileOrPath.path;
+	}
+}
+
+// 独立的固定文件夹视图，可以停靠在任意侧边栏
+class PinnedFoldersView extends ItemView {
+	constructor(leaf, plugin) {
+		super(leaf);
+		this.plugin = plugin;
+		this.panelEl = null;
+	}
+
+	getViewType() {
+		return PINNED_VIEW_TYPE;
+	}
+
+	getDisplayText() {
+		return 'Pinned folders';
+	}
+
+	getIcon() {
+		return 'pin';
+	}
+
+	async onOpen() {
+		this.contentEl.empty();
+		this.contentEl.addClass('pin-folder-view');
+		this.panelEl = this.plugin.pinManager.createPanelEl(this.contentEl);
+		this.plugin.pinManager.addViewPanel(this.panelEl);
+	}
+
+	async onClose() {
+		if (this.panelEl) {
+			this.plugin.pinManager.removeViewPanel(this.panelEl);
+			this.panelEl = null;
+		}
+	}
+}
+
+// 过滤规则的设置项，全局设置和单个固定项共用
+function renderFilterSettings(containerEl, filter, onChange) {
+	new Setting(containerEl)
+		.setName('Only show extensions')
+		.setDesc('Comma-separated list, e.g. md, canvas. Leave empty to show all files.')
+		.addText(text => text
+			.setPlaceholder('md, canvas')
+			.setValue(filter.extensions)
+			.onChange(async (value) => {
+				filter.extensions = value;
+				await onChange();
+			}));
+
+	new Setting(containerEl)
+		.setName('Hide attachments')
+		.setDesc('Hide files other than notes and canvases, and the attachment folder')
+		.addToggle(toggle => toggle
+			.setValue(filter.hideAttachments)
+			.onChange(async (value) => {
+				filter.hideAttachments = value;
+				await onChange();
+			}));
+
+	new Setting(containerEl)
+		.setName('Hide patterns')
+		.setDesc('One glob per line. Patterns without "/" match names, e.g. *.excalidraw.md')
+		.addTextArea(text => text
+			.setPlaceholder('*.excalidraw.md\nArchive/**')
+			.setValue(filter.hidePatterns.join('\n'))
+			.onChange(async (value) => {
+				filter.hidePatterns = value.split('\n').map(pattern => pattern.trim()).filter(Boolean);
+				await onChange();
+			}));
+
+	new Setting(containerEl)
+		.setName('Follow excluded files')
+		.setDesc('Hide files matching "Excluded files" in Settings → Files and links')
+		.addToggle(toggle => toggle
+			.setValue(filter.followExcludedFiles)
+			.onChange(async (value) => {
+				filter.followExcludedFiles = value;
+				await onChange();
+			}));
+}
+
+// 设置标签页类
+class SettingsTab extends PluginSettingTab {
+	constructor(app, plugin) {
+		super(app, plugin);
+		this.plugin = plugin;
+		// 固定列表中选中的路径和搜索内容，重新渲染列表时保留
+		this.selectedPins = new Set();
+		this.pinSearch = '';
+	}
+
+	display() {
+		const { containerEl } = this;
+		containerEl.empty();
+
+		containerEl.createEl('h2', { text: 'Pin Folder Settings' });
+
+		// 显示固定图标设置 - 已移除
 		// new Setting(containerEl)
 		// 	.setName('Show pin icon')
 		// 	.setDesc('Display a pin icon next to pinned folders')
@@ -786,16 +3725,56 @@ class SettingsTab extends PluginSettingTab {
 		// 			await this.plugin.saveSettings();
 		// 		}));
 
-		// 启用拖拽排序设置 - 已移除
-		// new Setting(containerEl)
-		// 	.setName('Enable drag sorting')
-		// 	.setDesc('Allow dragging to reorder pinned folders')
-		// 	.addToggle(toggle => toggle
-		// 		.setValue(this.plugin.settings.enableDragSort)
-		// 		.onChange(async (value) => {
-		// 			this.plugin.settings.enableDragSort = value;
-		// 			await this.plugin.saveSettings();
-		// 		}));
+		// 固定项的显示位置
+		new Setting(containerEl)
+			.setName('Show pinned folders in')
+			.setDesc('Inject pins at the top of the file explorer, show them in a separate "Pinned folders" view, or both')
+			.addDropdown(dropdown => dropdown
+				.addOption('explorer', 'File explorer')
+				.addOption('view', 'Separate view')
+				.addOption('both', 'Both')
+				.setValue(this.plugin.settings.displayMode)
+				.onChange(async (value) => {
+					this.plugin.settings.displayMode = value;
+					await this.plugin.saveSettings();
+					await this.plugin.applyDisplayMode();
+				}));
+
+		// 启用拖拽排序设置
+		new Setting(containerEl)
+			.setName('Enable drag sorting')
+			.setDesc('Allow dragging to reorder pinned folders in the file explorer and in this list')
+			.addToggle(toggle => toggle
+				.setValue(this.plugin.settings.enableDragSort)
+				.onChange(async (value) => {
+					this.plugin.settings.enableDragSort = value;
+					await this.plugin.saveSettings();
+					this.refreshLists();
+				}));
+
+		// 手风琴模式
+		new Setting(containerEl)
+			.setName('Accordion mode')
+			.setDesc('Expanding a pinned folder collapses the other pinned folders')
+			.addToggle(toggle => toggle
+				.setValue(this.plugin.settings.accordionMode)
+				.onChange(async (value) => {
+					this.plugin.settings.accordionMode = value;
+					await this.plugin.saveSettings();
+				}));
+
+		// 临时固定到期后的处理方式
+		new Setting(containerEl)
+			.setName('When a temporary pin expires')
+			.setDesc('Pins can be given an expiry from the "Pin folder temporarily..." menu item')
+			.addDropdown(dropdown => dropdown
+				.addOption('archive', 'Move to "Recently expired"')
+				.addOption('remove', 'Remove')
+				.setValue(this.plugin.settings.expiredPinAction)
+				.onChange(async (value) => {
+					this.plugin.settings.expiredPinAction = value;
+					await this.plugin.saveSettings();
+				}));
 
 		// 分组固定文件夹设置 - 已移除
 		// new Setting(containerEl)
@@ -812,129 +3791,1308 @@ class SettingsTab extends PluginSettingTab {
 		// 			}
 		// 		}));
 
+		// 配置集列表
+		containerEl.createEl('h3', { text: 'Profiles' });
+
+		this.profilesContainer = containerEl.createDiv('pin-profiles-container');
+		this.renderProfilesList(this.profilesContainer);
+
+		// 分组列表
+		containerEl.createEl('h3', { text: 'Groups' });
+
+		this.groupsContainer = containerEl.createDiv('pin-groups-container');
+		this.renderGroupsList(this.groupsContainer);
+
+		// 展开内容的全局过滤规则
+		containerEl.createEl('h3', { text: 'Filters' });
+
+		renderFilterSettings(containerEl, this.plugin.settings.filters, () => this.plugin.saveSettings());
+
+		new Setting(containerEl)
+			.setName('Show item counts')
+			.setDesc('Show the number of visible items next to pinned folders and folders in expanded trees')
+			.addToggle(toggle => toggle
+				.setValue(this.plugin.settings.showItemCounts)
+				.onChange(async (value) => {
+					this.plugin.settings.showItemCounts = value;
+					await this.plugin.saveSettings();
+				}));
+
+		// 自动固定规则
+		containerEl.createEl('h3', { text: 'Auto-pin rules' });
+
+		this.autoPinContainer = containerEl.createDiv('pin-auto-rules-container');
+		this.renderAutoPinRules(this.autoPinContainer);
+
+		// 最近文件夹
+		containerEl.createEl('h3', { text: 'Recent folders' });
+
+		this.recentFoldersContainer = containerEl.createDiv('pin-recent-folders-container');
+		this.renderRecentFoldersSettings(this.recentFoldersContainer);
+
 		// 固定文件夹列表
 		containerEl.createEl('h3', { text: 'Pinned Folders' });
 		
 		const pinnedFoldersContainer = containerEl.createDiv('pinned-folders-container');
+		this.pinnedFoldersContainer = pinnedFoldersContainer;
 		this.renderPinnedFoldersList(pinnedFoldersContainer);
 
 		// 操作按钮
 		const buttonContainer = containerEl.createDiv('button-container');
 		buttonContainer.style.marginTop = '20px';
 
-		new Setting(buttonContainer)
-			.setName('Clear all pinned folders')
-			.setDesc('Remove all pinned folders')
+		new Setting(buttonContainer)
+			.setName('Clear all pinned folders')
+			.setDesc('Remove all pinned folders')
+			.addButton(button => button
+				.setButtonText('Clear All')
+				.setCta()
+				.onClick(async () => {
+					if (confirm('Are you sure you want to unpin all folders?')) {
+						await this.plugin.pinManager.unpinAll();
+						this.renderPinnedFoldersList(pinnedFoldersContainer);
+					}
+				}));
+
+		// 导入/导出固定配置
+		containerEl.createEl('h3', { text: 'Import/Export' });
+
+		new Setting(containerEl)
+			.setName('Export settings')
+			.setDesc('Export the pins, groups and auto-pin rules of the current profile as JSON')
+			.addButton(button => button
+				.setButtonText('Export to file')
+				.onClick(() => {
+					this.exportSettings('file');
+				}))
+			.addButton(button => button
+				.setButtonText('Copy to clipboard')
+				.onClick(() => {
+					this.exportSettings('clipboard');
+				}));
+
+		new Setting(containerEl)
+			.setName('Import settings')
+			.setDesc('Replace or merge with a configuration exported from this or another vault')
+			.addButton(button => button
+				.setButtonText('Import from file')
+				.onClick(() => {
+					this.importSettings('file');
+				}))
+			.addButton(button => button
+				.setButtonText('Paste from clipboard')
+				.onClick(() => {
+					this.importSettings('clipboard');
+				}));
+	}
+
+	async exportSettings(target) {
+		const json = JSON.stringify(this.plugin.pinManager.exportPinConfig(), null, '\t');
+		if (target === 'clipboard') {
+			try {
+				await navigator.clipboard.writeText(json);
+				new Notice('Pin configuration copied to clipboard');
+			} catch (error) {
+				new Notice(`Failed to copy to clipboard: ${error.message}`);
+			}
+			return;
+		}
+
+		new TextInputModal(this.app, 'Export to file', 'pins.json', async (value) => {
+			const path = normalizePath(value.endsWith('.json') ? value : `${value}.json`);
+			const file = this.app.vault.getAbstractFileByPath(path);
+			try {
+				if (file instanceof TFile) {
+					await this.app.vault.modify(file, json);
+				} else if (file) {
+					new Notice(`Cannot export: ${path} is a folder`);
+					return;
+				} else {
+					await this.app.vault.create(path, json);
+				}
+				new Notice(`Pin configuration exported to ${path}`);
+			} catch (error) {
+				new Notice(`Failed to export: ${error.message}`);
+			}
+		}).open();
+	}
+
+	async importSettings(source) {
+		if (source === 'clipboard') {
+			let text;
+			try {
+				text = await navigator.clipboard.readText();
+			} catch (error) {
+				new Notice(`Failed to read the clipboard: ${error.message}`);
+				return;
+			}
+			this.openImportModal(text);
+			return;
+		}
+
+		const modal = new PathSuggestModal(this.app, async (file) => {
+			try {
+				this.openImportModal(await this.app.vault.read(file));
+			} catch (error) {
+				new Notice(`Failed to read ${file.path}: ${error.message}`);
+			}
+		}, file => file instanceof TFile && file.extension === 'json');
+		modal.setPlaceholder('Choose a JSON file...');
+		modal.open();
+	}
+
+	// 解析并校验导入的内容，确认导入方式后导入
+	openImportModal(text) {
+		let data;
+		try {
+			data = JSON.parse(text);
+		} catch (error) {
+			new Notice('Invalid pin configuration: not valid JSON');
+			return;
+		}
+		if (!data || !Array.isArray(data.pins)) {
+			new Notice('Invalid pin configuration: no pins found');
+			return;
+		}
+
+		data.pins = data.pins.map(sanitizePin).filter(Boolean);
+		data.groups = Array.isArray(data.groups)
+			? data.groups.filter(group => group && typeof group.name === 'string')
+			: [];
+		data.autoPinRules = Array.isArray(data.autoPinRules)
+			? data.autoPinRules.filter(rule => rule && Object.keys(AUTO_PIN_RULE_TYPES).includes(rule.type)
+				&& typeof rule.value === 'string')
+			: [];
+
+		new ImportPinsModal(this.app, this.plugin.pinManager, data, async (mode) => {
+			const result = await this.plugin.pinManager.importPinConfig(data, mode);
+			let message = `Imported ${result.added} pins`;
+			if (result.duplicates > 0) {
+				message += `, skipped ${result.duplicates} duplicates`;
+			}
+			if (result.missing.length > 0) {
+				message += `\nNot found in this vault: ${result.missing.join(', ')}`;
+			}
+			new Notice(message, result.missing.length > 0 ? 10000 : undefined);
+			this.display();
+		}).open();
+	}
+
+	renderAutoPinRules(container) {
+		container.empty();
+		const settings = this.plugin.settings;
+
+		settings.autoPinRules.forEach((rule, index) => {
+			new Setting(container)
+				.setClass('pin-auto-rule-setting')
+				.addDropdown(dropdown => {
+					Object.keys(AUTO_PIN_RULE_TYPES).forEach(type => {
+						dropdown.addOption(type, AUTO_PIN_RULE_TYPES[type]);
+					});
+					dropdown
+						.setValue(rule.type)
+						.onChange(async (value) => {
+							rule.type = value;
+							await this.plugin.saveSettings();
+							this.renderAutoPinRules(container);
+						});
+				})
+				.addText(text => text
+					.setPlaceholder(this.getAutoPinRulePlaceholder(rule.type))
+					.setValue(rule.value)
+					.onChange(async (value) => {
+						rule.value = value;
+						await this.plugin.saveSettings();
+					}))
+				.addExtraButton(button => button
+					.setIcon('trash')
+					.setTooltip('Delete rule')
+					.onClick(async () => {
+						settings.autoPinRules.splice(index, 1);
+						await this.plugin.saveSettings();
+						this.renderAutoPinRules(container);
+					}));
+		});
+
+		new Setting(container)
+			.setDesc('Folders matching any rule are shown in an "Auto-pinned" section below your pins.')
+			.addButton(button => button
+				.setButtonText('Add rule')
+				.onClick(async () => {
+					settings.autoPinRules.push({ type: 'glob', value: '' });
+					await this.plugin.saveSettings();
+					this.renderAutoPinRules(container);
+				}));
+
+		// 被排除的文件夹，可重新加入自动固定
+		settings.autoPinExcluded.forEach(path => {
+			new Setting(container)
+				.setName(path)
+				.setDesc('Excluded from auto-pinning')
+				.addExtraButton(button => button
+					.setIcon('rotate-ccw')
+					.setTooltip('Include again')
+					.onClick(async () => {
+						await this.plugin.pinManager.includeAutoPin(path);
+						this.renderAutoPinRules(container);
+					}));
+		});
+	}
+
+	renderRecentFoldersSettings(container) {
+		container.empty();
+		const settings = this.plugin.settings;
+
+		new Setting(container)
+			.setName('Show recent folders')
+			.setDesc('Show the folders of recently opened files below your pins')
+			.addToggle(toggle => toggle
+				.setValue(settings.showRecentFolders)
+				.onChange(async (value) => {
+					settings.showRecentFolders = value;
+					await this.plugin.saveSettings();
+				}));
+
+		new Setting(container)
+			.setName('Number of recent folders')
+			.addSlider(slider => slider
+				.setLimits(1, 20, 1)
+				.setValue(settings.recentFoldersLimit)
+				.setDynamicTooltip()
+				.onChange(async (value) => {
+					settings.recentFoldersLimit = value;
+					await this.plugin.saveSettings();
+				}));
+
+		new Setting(container)
+			.setName('Ranking')
+			.setDesc('How recent folders are ordered')
+			.addDropdown(dropdown => {
+				Object.keys(RECENT_SCORING_MODES).forEach(mode => {
+					dropdown.addOption(mode, RECENT_SCORING_MODES[mode]);
+				});
+				dropdown
+					.setValue(settings.recentFoldersScoring)
+					.onChange(async (value) => {
+						settings.recentFoldersScoring = value;
+						await this.plugin.saveSettings();
+					});
+			});
+
+		new Setting(container)
+			.setName('Excluded folders')
+			.setDesc('One folder path per line. Subfolders are excluded as well.')
+			.addTextArea(text => text
+				.setPlaceholder('Templates\nArchive')
+				.setValue(settings.recentFoldersExcluded.join('\n'))
+				.onChange(async (value) => {
+					settings.recentFoldersExcluded = value.split('\n').map(path => path.trim()).filter(Boolean);
+					await this.plugin.saveSettings();
+				}));
+
+		new Setting(container)
+			.setName('Clear history')
+			.setDesc(`${Object.keys(settings.folderHistory).length} folders recorded`)
+			.addButton(button => button
+				.setButtonText('Clear')
+				.onClick(async () => {
+					await this.plugin.pinManager.clearFolderHistory();
+					this.renderRecentFoldersSettings(container);
+				}));
+	}
+
+	getAutoPinRulePlaceholder(type) {
+		if (type === 'frontmatter') return 'status: active';
+		if (type === 'tag') return '#pin';
+		return '1-Projects/*';
+	}
+
+	renderGroupsList(container) {
+		container.empty();
+
+		this.plugin.getProfile().groups.forEach((group, index) => {
+			new Setting(container)
+				.setClass('pin-group-setting')
+				.addText(text => text
+					.setPlaceholder('Group name')
+					.setValue(group.name)
+					.onChange(async (value) => {
+						group.name = value;
+						await this.plugin.saveSettings();
+					}))
+				.addExtraButton(button => button
+					.setIcon('arrow-up')
+					.setTooltip('Move up')
+					.setDisabled(index === 0)
+					.onClick(() => {
+						this.plugin.pinManager.moveGroup(group.id, -1);
+						this.refreshLists();
+					}))
+				.addExtraButton(button => button
+					.setIcon('arrow-down')
+					.setTooltip('Move down')
+					.setDisabled(index === this.plugin.getProfile().groups.length - 1)
+					.onClick(() => {
+						this.plugin.pinManager.moveGroup(group.id, 1);
+						this.refreshLists();
+					}))
+				.addExtraButton(button => button
+					.setIcon('trash')
+					.setTooltip('Delete group (pins are kept as ungrouped)')
+					.onClick(() => {
+						this.plugin.pinManager.deleteGroup(group.id);
+						this.refreshLists();
+					}));
+		});
+
+		new Setting(container)
+			.setDesc('Groups are shown as collapsible sections in the pinned area.')
+			.addButton(button => button
+				.setButtonText('Add group')
+				.onClick(() => {
+					new TextInputModal(this.app, 'New group', '', (name) => {
+						this.plugin.pinManager.createGroup(name);
+						this.refreshLists();
+					}).open();
+				}));
+	}
+
+	renderProfilesList(container) {
+		container.empty();
+
+		const settings = this.plugin.settings;
+		const workspaces = this.getSavedWorkspaces();
+
+		new Setting(container)
+			.setName('Active profile')
+			.setDesc('Each profile has its own pins, groups, order and expansion state.')
+			.addDropdown(dropdown => {
+				settings.profiles.forEach(profile => {
+					dropdown.addOption(profile.id, profile.name);
+				});
+				dropdown
+					.setValue(settings.activeProfileId)
+					.onChange(async (value) => {
+						await this.plugin.pinManager.switchProfile(value);
+						this.refreshLists();
+					});
+			});
+
+		const activeProfile = this.plugin.getProfile();
+		const noteSetting = new Setting(container)
+			.setName('Pins note')
+			.setDesc(activeProfile.note
+				? `The active profile is synced with ${activeProfile.note}`
+				: 'Store the pins of the active profile in a note as wikilinks, with headings as groups')
+			.addButton(button => button
+				.setButtonText(activeProfile.note ? 'Change' : 'Choose note')
+				.onClick(() => {
+					new TextInputModal(this.app, 'Pins note', activeProfile.note || '_meta/Pins.md', async (value) => {
+						const pinManager = this.plugin.pinManager;
+						let mode;
+						try {
+							mode = await pinManager.getPinsNoteMode(value);
+						} catch (error) {
+							new Notice(`Failed to read pins note: ${error.message}`);
+							return;
+						}
+						if (mode) {
+							await pinManager.setPinsNote(value, mode);
+							this.refreshLists();
+							return;
+						}
+						new PinsNoteSourceModal(this.app, normalizePinsNotePath(value), async (choice) => {
+							await pinManager.setPinsNote(value, choice);
+							this.refreshLists();
+						}).open();
+					}).open();
+				}));
+		if (activeProfile.note) {
+			noteSetting.addExtraButton(button => button
+				.setIcon('x')
+				.setTooltip('Stop syncing with note')
+				.onClick(async () => {
+					await this.plugin.pinManager.setPinsNote('');
+					this.refreshLists();
+				}));
+		}
+
+		settings.profiles.forEach(profile => {
+			const setting = new Setting(container)
+				.setClass('pin-profile-setting')
+				.addText(text => text
+					.setPlaceholder('Profile name')
+					.setValue(profile.name)
+					.onChange(async (value) => {
+						profile.name = value;
+						await this.plugin.saveSettings();
+					}));
+
+			// 关联工作区（需要启用核心插件"工作区"）
+			if (workspaces) {
+				setting.addDropdown(dropdown => {
+					dropdown.addOption('', 'No linked workspace');
+					workspaces.forEach(name => {
+						dropdown.addOption(name, name);
+					});
+					dropdown
+						.setValue(profile.workspace)
+						.onChange(async (value) => {
+							profile.workspace = value;
+							await this.plugin.saveSettings();
+						});
+				});
+			}
+
+			setting
+				.addExtraButton(button => button
+					.setIcon('copy')
+					.setTooltip('Duplicate profile')
+					.onClick(() => {
+						this.plugin.pinManager.addProfile(`${profile.name} copy`, profile);
+						this.refreshLists();
+					}))
+				.addExtraButton(button => button
+					.setIcon('trash')
+					.setTooltip('Delete profile')
+					.setDisabled(settings.profiles.length <= 1)
+					.onClick(() => {
+						if (settings.profiles.length <= 1) return;
+						if (confirm(`Delete pin profile "${profile.name}"?`)) {
+							this.plugin.pinManager.deleteProfile(profile.id);
+							this.refreshLists();
+						}
+					}));
+		});
+
+		new Setting(container)
 			.addButton(button => button
-				.setButtonText('Clear All')
-				.setCta()
-				.onClick(async () => {
-					if (confirm('Are you sure you want to unpin all folders?')) {
-						this.plugin.settings.pinnedFolders = [];
-						this.plugin.settings.sortOrder = [];
-						await this.plugin.saveSettings();
-						this.renderPinnedFoldersList(pinnedFoldersContainer);
-					}
+				.setButtonText('Add profile')
+				.onClick(() => {
+					new TextInputModal(this.app, 'New pin profile', '', (name) => {
+						this.plugin.pinManager.addProfile(name);
+						this.refreshLists();
+					}).open();
 				}));
+	}
 
-		// 导入/导出设置 - 已移除
-		// containerEl.createEl('h3', { text: 'Import/Export' });
-
-		// new Setting(containerEl)
-		// 	.setName('Export settings')
-		// 	.setDesc('Export pinned folders configuration')
-		// 	.addButton(button => button
-		// 		.setButtonText('Export')
-		// 		.onClick(() => {
-		// 			this.exportSettings();
-		// 		}));
+	// 获取已保存的工作区名称，未启用工作区插件时返回 null
+	getSavedWorkspaces() {
+		const workspaces = this.app.internalPlugins && this.app.internalPlugins.getPluginById('workspaces');
+		if (!workspaces || !workspaces.enabled || !workspaces.instance) {
+			return null;
+		}
+		return Object.keys(workspaces.instance.workspaces || {});
+	}
 
-		// new Setting(containerEl)
-		// 	.setName('Import settings')
-		// 	.setDesc('Import pinned folders configuration')
-		// 	.addButton(button => button
-		// 		.setButtonText('Import')
-		// 		.onClick(() => {
-		// 			this.importSettings();
-		// 		}));
+	refreshLists() {
+		if (this.profilesContainer) {
+			this.renderProfilesList(this.profilesContainer);
+		}
+		if (this.groupsContainer) {
+			this.renderGroupsList(this.groupsContainer);
+		}
+		if (this.pinnedFoldersContainer) {
+			this.renderPinnedFoldersList(this.pinnedFoldersContainer);
+		}
 	}
 
 	renderPinnedFoldersList(container) {
 		container.empty();
 
-		if (this.plugin.settings.pinnedFolders.length === 0) {
+		const { pins, groups } = this.plugin.getProfile();
+		if (pins.length === 0) {
 			container.createEl('p', { 
-				text: 'No pinned folders. Right-click on a folder in the file explorer to pin it.',
+				text: 'No pinned folders. Right-click on a folder or file in the file explorer to pin it.',
 				cls: 'no-pinned-folders'
 			});
+			this.renderExpiredPins(container);
 			return;
 		}
 
-		// 创建固定文件夹列表
+		// 移除已不再固定的选中项
+		this.selectedPins.forEach(path => {
+			if (!pins.some(pin => pin.path === path)) {
+				this.selectedPins.delete(path);
+			}
+		});
+		this.renderPinnedListToolbar(container);
+
+		// 创建固定文件夹列表，按分组显示
 		const listContainer = container.createDiv('pinned-folders-list');
-		
-		this.plugin.settings.sortOrder.forEach((folderPath, index) => {
-			if (!this.plugin.settings.pinnedFolders.includes(folderPath)) {
+		this.pinnedListEl = listContainer;
+		const sections = [{ id: null, name: 'Ungrouped' }].concat(groups);
+
+		sections.forEach(section => {
+			const sectionPins = pins.filter(pin =>
+				(this.plugin.pinManager.getGroup(pin.group) ? pin.group : null) === section.id
+			);
+			if (sectionPins.length === 0) {
 				return;
 			}
 
-			const folderItem = listContainer.createDiv('pinned-folder-item');
-			folderItem.style.display = 'flex';
-			folderItem.style.alignItems = 'center';
-			folderItem.style.padding = '8px';
-			folderItem.style.border = '1px solid var(--background-modifier-border)';
-			folderItem.style.borderRadius = '4px';
-			folderItem.style.marginBottom = '4px';
-
-			// 文件夹路径
-			const pathEl = folderItem.createDiv('folder-path');
-			pathEl.textContent = folderPath;
-			pathEl.style.flex = '1';
-			pathEl.style.fontFamily = 'var(--font-monospace)';
-			pathEl.style.fontSize = '12px';
-
-			// 上移按钮
-			const upButton = folderItem.createEl('button', { text: '↑' });
-			upButton.style.marginRight = '4px';
-			upButton.disabled = index === 0;
-			upButton.onclick = () => {
-				if (index > 0) {
-					this.moveFolder(index, index - 1);
-					this.renderPinnedFoldersList(container);
+			listContainer.createDiv({ cls: 'pinned-group-title', text: section.name });
+			sectionPins.forEach((pin, index) => {
+				this.renderPinnedFolderRow(listContainer, container, pin, index === 0, index === sectionPins.length - 1);
+			});
+		});
+
+		this.noMatchingPinsEl = container.createEl('p', { text: 'No matching pins', cls: 'no-pinned-folders' });
+		this.filterPinnedFoldersList();
+		this.updateBulkActions();
+		this.renderExpiredPins(container);
+	}
+
+	// 搜索框和批量操作（取消固定、移到最前/最后、移入分组）
+	renderPinnedListToolbar(container) {
+		const pinManager = this.plugin.pinManager;
+		const toolbar = container.createDiv('pinned-folders-toolbar');
+
+		const searchInput = toolbar.createEl('input', {
+			type: 'search',
+			placeholder: 'Filter pins by path or alias...',
+			value: this.pinSearch
+		});
+		searchInput.addEventListener('input', () => {
+			this.pinSearch = searchInput.value;
+			this.filterPinnedFoldersList();
+			this.updateBulkActions();
+		});
+
+		const bulkBar = container.createDiv('pinned-folders-bulk-actions');
+		this.selectAllCheckbox = bulkBar.createEl('input', { type: 'checkbox' });
+		this.selectAllCheckbox.setAttribute('aria-label', 'Select all shown pins');
+		this.selectAllCheckbox.onchange = () => {
+			this.getShownPinRows().forEach(row => {
+				const path = row.getAttribute('data-path');
+				if (this.selectAllCheckbox.checked) {
+					this.selectedPins.add(path);
+				} else {
+					this.selectedPins.delete(path);
 				}
-			};
+				row.querySelector('.pin-select-checkbox').checked = this.selectAllCheckbox.checked;
+			});
+			this.updateBulkActions();
+		};
+		this.selectionCountEl = bulkBar.createEl('span', { cls: 'pin-selection-count' });
 
-			// 下移按钮
-			const downButton = folderItem.createEl('button', { text: '↓' });
-			downButton.style.marginRight = '4px';
-			downButton.disabled = index === this.plugin.settings.pinnedFolders.length - 1;
-			downButton.onclick = () => {
-				if (index < this.plugin.settings.pinnedFolders.length - 1) {
-					this.moveFolder(index, index + 1);
-					this.renderPinnedFoldersList(container);
+		// 每个操作完成后自行刷新列表（选择分组时弹窗可能被关闭而不做任何操作）
+		const refresh = () => this.renderPinnedFoldersList(container);
+		const addBulkButton = (text, onClick) => {
+			const button = bulkBar.createEl('button', { text });
+			button.onclick = () => onClick(Array.from(this.selectedPins));
+			return button;
+		};
+
+		this.bulkButtons = [
+			addBulkButton('Move to top', async (paths) => {
+				await pinManager.movePinsToEdge(paths, true);
+				refresh();
+			}),
+			addBulkButton('Move to bottom', async (paths) => {
+				await pinManager.movePinsToEdge(paths, false);
+				refresh();
+			}),
+			addBulkButton('Move to group...', (paths) => {
+				new GroupSuggestModal(this.app, pinManager, async (groupId) => {
+					await pinManager.movePinsToGroup(paths, groupId);
+					refresh();
+				}).open();
+			}),
+			addBulkButton('Unpin', async (paths) => {
+				if (confirm(`Unpin ${paths.length} selected items?`)) {
+					await pinManager.unpinPaths(paths);
+					this.selectedPins.clear();
+					refresh();
+				}
+			})
+		];
+		this.bulkButtons[this.bulkButtons.length - 1].style.color = 'var(--text-error)';
+	}
+
+	// 按路径或别名过滤列表；只隐藏行，输入时搜索框不会因为重新渲染失去焦点
+	filterPinnedFoldersList() {
+		const query = this.pinSearch.trim().toLowerCase();
+		let titleEl = null;
+		let shown = 0;
+		Array.from(this.pinnedListEl.children).forEach(el => {
+			if (el.hasClass('pinned-group-title')) {
+				titleEl = el;
+				el.style.display = 'none';
+				return;
+			}
+			const pin = this.plugin.pinManager.getPin(el.getAttribute('data-path'));
+			const matches = !query || pin.path.toLowerCase().includes(query) || pin.alias.toLowerCase().includes(query);
+			el.style.display = matches ? 'flex' : 'none';
+			if (matches) {
+				shown++;
+				if (titleEl) {
+					titleEl.style.display = '';
 				}
+			}
+		});
+		this.noMatchingPinsEl.style.display = shown === 0 ? '' : 'none';
+	}
+
+	getShownPinRows() {
+		return Array.from(this.pinnedListEl.querySelectorAll('.pinned-folder-item'))
+			.filter(row => row.style.display !== 'none');
+	}
+
+	updateBulkActions() {
+		const count = this.selectedPins.size;
+		this.selectionCountEl.setText(count > 0 ? `${count} selected` : 'Select pins for bulk actions');
+		this.bulkButtons.forEach(button => {
+			button.disabled = count === 0;
+		});
+
+		const rows = this.getShownPinRows();
+		const selectedShown = rows.filter(row => this.selectedPins.has(row.getAttribute('data-path'))).length;
+		this.selectAllCheckbox.checked = rows.length > 0 && selectedShown === rows.length;
+		this.selectAllCheckbox.indeterminate = selectedShown > 0 && selectedShown < rows.length;
+	}
+
+	// 最近到期的临时固定项，可重新固定或移除
+	renderExpiredPins(container) {
+		const profile = this.plugin.getProfile();
+		if (profile.expired.length === 0) return;
+
+		container.createDiv({ cls: 'pinned-group-title', text: 'Recently expired' });
+		profile.expired.forEach(item => {
+			new Setting(container)
+				.setClass('pin-expired-setting')
+				.setName(item.path)
+				.setDesc(`Expired ${new Date(item.expiredAt).toLocaleString()}`)
+				.addExtraButton(button => button
+					.setIcon('pin')
+					.setTooltip('Pin again')
+					.onClick(async () => {
+						await this.plugin.pinManager.restoreExpiredPin(item.path);
+						this.renderPinnedFoldersList(container);
+					}))
+				.addExtraButton(button => button
+					.setIcon('x')
+					.setTooltip('Remove from list')
+					.onClick(async () => {
+						profile.expired = profile.expired.filter(expired => expired !== item);
+						await this.plugin.saveSettings();
+						this.renderPinnedFoldersList(container);
+					}));
+		});
+	}
+
+	renderPinnedFolderRow(listContainer, container, pin, isFirst, isLast) {
+		const folderPath = pin.path;
+		const folderItem = listContainer.createDiv('pinned-folder-item');
+		folderItem.style.display = 'flex';
+		folderItem.style.alignItems = 'center';
+		folderItem.style.padding = '8px';
+		folderItem.style.border = '1px solid var(--background-modifier-border)';
+		folderItem.style.borderRadius = '4px';
+		folderItem.style.marginBottom = '4px';
+		folderItem.setAttribute('data-path', folderPath);
+
+		// 批量操作的选择框
+		const checkbox = folderItem.createEl('input', { type: 'checkbox', cls: 'pin-select-checkbox' });
+		checkbox.checked = this.selectedPins.has(folderPath);
+		checkbox.setAttribute('aria-label', `Select ${folderPath}`);
+		checkbox.style.marginRight = '8px';
+		checkbox.onchange = () => {
+			if (checkbox.checked) {
+				this.selectedPins.add(folderPath);
+			} else {
+				this.selectedPins.delete(folderPath);
+			}
+			this.updateBulkActions();
+		};
+
+		// 拖拽排序
+		this.plugin.pinManager.registerPinDragSort(folderItem, folderPath, () => {
+			this.renderPinnedFoldersList(container);
+		});
+
+		// 文件夹路径（设置了别名时一并显示）
+		const pathEl = folderItem.createDiv('folder-path');
+		pathEl.textContent = folderPath;
+		if (pin.alias) {
+			pathEl.createEl('span', { text: pin.alias, cls: 'pin-alias' });
+		}
+		pathEl.style.flex = '1';
+		pathEl.style.fontFamily = 'var(--font-monospace)';
+		pathEl.style.fontSize = '12px';
+
+		// 文件夹或文件已被删除：显示缺失标记，并提供重新定位按钮
+		const isMissing = this.plugin.pinManager.isMissing(folderPath);
+		if (isMissing) {
+			folderItem.addClass('is-missing');
+			folderItem.createEl('span', { text: 'Missing', cls: 'pin-missing-badge' });
+
+			const relocateButton = folderItem.createEl('button', { text: 'Relocate' });
+			relocateButton.style.marginRight = '4px';
+			relocateButton.onclick = () => {
+				new PathSuggestModal(this.app, async (file) => {
+					await this.plugin.pinManager.relocatePin(folderPath, file.path);
+					this.renderPinnedFoldersList(container);
+				}).open();
+			};
+		}
+
+		// 临时固定：显示到期时间，可延长或清除
+		if (pin.expires) {
+			folderItem.createEl('span', {
+				text: `Expires ${new Date(pin.expires).toLocaleDateString()}`,
+				cls: 'pin-expiry-badge'
+			});
+
+			const extendButton = folderItem.createEl('button', { text: '+1 week' });
+			extendButton.style.marginRight = '4px';
+			extendButton.setAttribute('aria-label', 'Extend expiry by one week');
+			extendButton.onclick = async () => {
+				await this.plugin.pinManager.extendPinExpiry(folderPath, 7 * DAY);
+				this.renderPinnedFoldersList(container);
 			};
 
-			// 取消固定按钮
-			const unpinButton = folderItem.createEl('button', { text: 'Unpin' });
-			unpinButton.style.color = 'var(--text-error)';
-			unpinButton.onclick = async () => {
-				this.plugin.settings.pinnedFolders = this.plugin.settings.pinnedFolders.filter(
-					path => path !== folderPath
-				);
-				this.plugin.settings.sortOrder = this.plugin.settings.sortOrder.filter(
-					path => path !== folderPath
-				);
+			const clearButton = folderItem.createEl('button', { text: 'Clear expiry' });
+			clearButton.style.marginRight = '4px';
+			clearButton.setAttribute('aria-label', 'Clear expiry and keep pinned');
+			clearButton.onclick = async () => {
+				this.plugin.pinManager.getPin(folderPath).expires = null;
 				await this.plugin.saveSettings();
 				this.renderPinnedFoldersList(container);
 			};
+		}
+
+		// 分组选择
+		const groupSelect = folderItem.createEl('select', { cls: 'dropdown pin-group-select' });
+		groupSelect.style.marginRight = '4px';
+		groupSelect.createEl('option', { text: 'No group', value: '' });
+		this.plugin.getProfile().groups.forEach(group => {
+			groupSelect.createEl('option', { text: group.name, value: group.id });
 		});
+		groupSelect.value = this.plugin.pinManager.getGroup(pin.group) ? pin.group : '';
+		groupSelect.onchange = () => {
+			this.plugin.pinManager.movePinToGroup(folderPath, groupSelect.value || null);
+			this.renderPinnedFoldersList(container);
+		};
+
+		// 展开内容的排序方式（仅文件夹）
+		if (this.app.vault.getAbstractFileByPath(folderPath) instanceof TFolder) {
+			const sortSelect = folderItem.createEl('select', { cls: 'dropdown pin-sort-select' });
+			sortSelect.style.marginRight = '4px';
+			sortSelect.createEl('option', { text: 'Follow file explorer', value: '' });
+			Object.keys(SORT_ORDERS).forEach(sortOrder => {
+				sortSelect.createEl('option', { text: SORT_ORDERS[sortOrder], value: sortOrder });
+			});
+			sortSelect.value = pin.sort || '';
+			sortSelect.onchange = () => {
+				this.plugin.pinManager.setPinSortOrder(folderPath, sortSelect.value);
+			};
+
+			const filterButton = folderItem.createEl('button', { text: pin.filter ? 'Filter •' : 'Filter' });
+			filterButton.style.marginRight = '4px';
+			filterButton.setAttribute('aria-label', pin.filter ? 'Custom filters' : 'Using global filters');
+			filterButton.onclick = () => {
+				new PinFilterModal(this.app, this.plugin.pinManager, folderPath, () => {
+					this.renderPinnedFoldersList(container);
+				}).open();
+			};
+		}
+
+		// 编辑别名、图标和颜色
+		const appearanceButton = folderItem.createEl('button', { text: 'Edit' });
+		appearanceButton.style.marginRight = '4px';
+		appearanceButton.setAttribute('aria-label', 'Edit alias, icon and colour');
+		appearanceButton.onclick = () => {
+			new PinAppearanceModal(this.app, this.plugin.pinManager, folderPath, () => {
+				this.renderPinnedFoldersList(container);
+			}).open();
+		};
+
+		// 上移按钮（在分组内移动）
+		const upButton = folderItem.createEl('button', { text: '↑' });
+		upButton.style.marginRight = '4px';
+		upButton.disabled = isFirst;
+		upButton.onclick = () => {
+			this.plugin.pinManager.movePinWithinGroup(folderPath, -1);
+			this.renderPinnedFoldersList(container);
+		};
+
+		// 下移按钮
+		const downButton = folderItem.createEl('button', { text: '↓' });
+		downButton.style.marginRight = '4px';
+		downButton.disabled = isLast;
+		downButton.onclick = () => {
+			this.plugin.pinManager.movePinWithinGroup(folderPath, 1);
+			this.renderPinnedFoldersList(container);
+		};
+
+		// 取消固定按钮
+		const unpinButton = folderItem.createEl('button', { text: isMissing ? 'Remove' : 'Unpin' });
+		unpinButton.style.color = 'var(--text-error)';
+		unpinButton.onclick = async () => {
+			this.plugin.pinManager.unpinFolder(folderPath);
+			await this.plugin.saveSettings();
+			this.renderPinnedFoldersList(container);
+		};
 	}
+}
 
-	async moveFolder(fromIndex, toIndex) {
-		const item = this.plugin.settings.sortOrder.splice(fromIndex, 1)[0];
-		this.plugin.settings.sortOrder.splice(toIndex, 0, item);
-		await this.plugin.saveSettings();
+// 文件夹/文件选择弹窗
+class PathSuggestModal extends FuzzySuggestModal {
+	constructor(app, onChoose, filter = null) {
+		super(app);
+		this.onChoose = onChoose;
+		this.filter = filter;
+		this.setPlaceholder('Choose a folder or file...');
+	}
+
+	getItems() {
+		return this.app.vault.getAllLoadedFiles().filter(file =>
+			(file instanceof TFile || (file instanceof TFolder && !file.isRoot()))
+			&& (!this.filter || this.filter(file))
+		);
+	}
+
+	getItemText(file) {
+		return file.path;
+	}
+
+	onChooseItem(file) {
+		this.onChoose(file);
+	}
+}
+
+// 跳转到固定项或其子项
+class PinnedItemSuggestModal extends FuzzySuggestModal {
+	constructor(app, pinManager) {
+		super(app);
+		this.pinManager = pinManager;
+		this.setPlaceholder('Jump to pinned folder...');
+	}
+
+	getItems() {
+		return this.pinManager.getPinnedItems();
+	}
+
+	getItemText(file) {
+		return file.path;
+	}
+
+	onChooseItem(file, evt) {
+		this.pinManager.openPinnedItem(file, evt);
+	}
+}
+
+// 单行文本输入弹窗
+class TextInputModal extends Modal {
+	constructor(app, title, value, onSubmit) {
+		super(app);
+		this.title = title;
+		this.value = value;
+		this.onSubmit = onSubmit;
+	}
+
+	onOpen() {
+		const { contentEl } = this;
+		contentEl.empty();
+		contentEl.createEl('h3', { text: this.title });
+
+		const input = contentEl.createEl('input', { type: 'text', value: this.value });
+		input.style.width = '100%';
+
+		const submit = () => {
+			const value = input.value.trim();
+			if (!value) return;
+			this.close();
+			this.onSubmit(value);
+		};
+
+		input.addEventListener('keydown', (e) => {
+			if (e.key === 'Enter') {
+				e.preventDefault();
+				submit();
+			}
+		});
+
+		const buttonContainer = contentEl.createDiv('modal-button-container');
+		buttonContainer.createEl('button', { text: 'Save', cls: 'mod-cta' }).addEventListener('click', submit);
+		buttonContainer.createEl('button', { text: 'Cancel' }).addEventListener('click', () => this.close());
+
+		input.focus();
+		input.select();
+	}
+
+	onClose() {
+		this.contentEl.empty();
+	}
+}
+
+// 确认导入方式：合并或替换，并预先列出当前文件库中不存在的路径
+class ImportPinsModal extends Modal {
+	constructor(app, pinManager, data, onImport) {
+		super(app);
+		this.pinManager = pinManager;
+		this.data = data;
+		this.onImport = onImport;
+	}
+
+	onOpen() {
+		const { contentEl } = this;
+		contentEl.empty();
+		contentEl.createEl('h3', { text: 'Import pins' });
+
+		const { pins, groups, autoPinRules } = this.data;
+		contentEl.createEl('p', {
+			text: `${pins.length} pins and ${groups.length} groups will be imported into "${this.pinManager.plugin.getProfile().name}".`
+		});
+		if (autoPinRules.length > 0) {
+			contentEl.createEl('p', {
+				text: `${autoPinRules.length} auto-pin rules will be merged. Auto-pin rules are shared by all profiles and are never replaced.`
+			});
+		}
+
+		const missing = pins.map(pin => normalizePath(pin.path)).filter(path => this.pinManager.isMissing(path));
+		if (missing.length > 0) {
+			contentEl.createEl('p', { text: `${missing.length} paths don't exist in this vault and will be shown as missing:` });
+			const list = contentEl.createEl('ul', { cls: 'pin-import-missing' });
+			missing.forEach(path => list.createEl('li', { text: path }));
+		}
+
+		const buttonContainer = contentEl.createDiv('modal-button-container');
+		const choose = (mode) => {
+			this.close();
+			this.onImport(mode);
+		};
+		buttonContainer.createEl('button', { text: 'Merge', cls: 'mod-cta' }).addEventListener('click', () => choose('merge'));
+		buttonContainer.createEl('button', { text: 'Replace', cls: 'mod-warning' }).addEventListener('click', () => choose('replace'));
+		buttonContainer.createEl('button', { text: 'Cancel' }).addEventListener('click', () => this.close());
+	}
+
+	onClose() {
+		this.contentEl.empty();
+	}
+}
+
+// 选择的固定项笔记中已有不同的固定项时，选择读取笔记还是写入当前固定项
+class PinsNoteSourceModal extends Modal {
+	constructor(app, notePath, onChoose) {
+		super(app);
+		this.notePath = notePath;
+		this.onChoose = onChoose;
+	}
+
+	onOpen() {
+		const { contentEl } = this;
+		contentEl.empty();
+		contentEl.createEl('h3', { text: 'Sync with existing note' });
+		contentEl.createEl('p', {
+			text: `${this.notePath} already contains pins that differ from the active profile.`
+		});
+
+		const buttonContainer = contentEl.createDiv('modal-button-container');
+		const choose = (mode) => {
+			this.close();
+			this.onChoose(mode);
+		};
+		buttonContainer.createEl('button', { text: 'Use pins from note', cls: 'mod-cta' }).addEventListener('click', () => choose('import'));
+		buttonContainer.createEl('button', { text: 'Write current pins', cls: 'mod-warning' }).addEventListener('click', () => choose('export'));
+		buttonContainer.createEl('button', { text: 'Cancel' }).addEventListener('click', () => this.close());
+	}
+
+	onClose() {
+		this.contentEl.empty();
+	}
+}
+
+// 编辑固定项的别名、Lucide 图标和强调色
+class PinAppearanceModal extends Modal {
+	constructor(app, pinManager, folderPath, onSave) {
+		super(app);
+		this.pinManager = pinManager;
+		this.folderPath = folderPath;
+		this.onSave = onSave;
+	}
+
+	onOpen() {
+		const { contentEl } = this;
+		const pin = this.pinManager.getPin(this.folderPath);
+		if (!pin) {
+			this.close();
+			return;
+		}
+		const values = { alias: pin.alias, icon: pin.icon, color: pin.color };
+
+		contentEl.empty();
+		contentEl.createEl('h3', { text: 'Edit appearance' });
+		contentEl.createEl('p', { text: this.folderPath, cls: 'setting-item-description' });
+
+		new Setting(contentEl)
+			.setName('Alias')
+			.setDesc('Display name in the pinned area. Leave empty to use the folder name.')
+			.addText(text => text
+				.setValue(values.alias)
+				.onChange(value => {
+					values.alias = value.trim();
+				}));
+
+		// 图标预览，名称无效时提示
+		let preview;
+		const updatePreview = () => {
+			preview.empty();
+			if (values.icon && getIcon(values.icon)) {
+				setIcon(preview, values.icon);
+			} else if (values.icon) {
+				preview.setText('?');
+			}
+		};
+		const iconSetting = new Setting(contentEl)
+			.setName('Icon')
+			.setDesc('Lucide icon name, e.g. inbox, star, briefcase')
+			.addText(text => text
+				.setPlaceholder('folder')
+				.setValue(values.icon)
+				.onChange(value => {
+					values.icon = value.trim();
+					updatePreview();
+				}));
+		preview = iconSetting.controlEl.createEl('span', { cls: 'pin-icon-preview' });
+		updatePreview();
+
+		// 取色器无法显示空值，用描述说明当前是否使用主题颜色
+		let colorPicker;
+		const colorSetting = new Setting(contentEl)
+			.setName('Colour')
+			.setDesc(values.color ? '' : 'Using theme colour')
+			.addColorPicker(picker => {
+				colorPicker = picker;
+				picker
+					.setValue(values.color || '#000000')
+					.onChange(value => {
+						values.color = value;
+						colorSetting.setDesc('');
+					});
+			})
+			.addExtraButton(button => button
+				.setIcon('rotate-ccw')
+				.setTooltip('Use theme colour')
+				.onClick(() => {
+					colorPicker.setValue('#000000');
+					values.color = '';
+					colorSetting.setDesc('Using theme colour');
+				}));
+
+		new Setting(contentEl)
+			.addButton(button => button
+				.setButtonText('Save')
+				.setCta()
+				.onClick(async () => {
+					if (values.icon && !getIcon(values.icon)) {
+						new Notice(`Unknown icon: ${values.icon}`);
+						return;
+					}
+					this.close();
+					await this.pinManager.setPinAppearance(this.folderPath, values);
+					if (this.onSave) this.onSave();
+				}))
+			.addButton(button => button
+				.setButtonText('Cancel')
+				.onClick(() => this.close()));
+	}
+
+	onClose() {
+		this.contentEl.empty();
+	}
+}
+
+// 单个固定项的过滤规则，可选择使用全局规则
+class PinFilterModal extends Modal {
+	constructor(app, pinManager, folderPath, onSave) {
+		super(app);
+		this.pinManager = pinManager;
+		this.folderPath = folderPath;
+		this.onSave = onSave;
+	}
+
+	onOpen() {
+		const pin = this.pinManager.getPin(this.folderPath);
+		if (!pin) {
+			this.close();
+			return;
+		}
+		this.useGlobal = !pin.filter;
+		this.filter = createFilter(pin.filter || this.pinManager.plugin.settings.filters);
+		this.filter.hidePatterns = this.filter.hidePatterns.slice();
+		this.display();
+	}
+
+	display() {
+		const { contentEl } = this;
+		contentEl.empty();
+		contentEl.createEl('h3', { text: 'Filter contents' });
+		contentEl.createEl('p', { text: this.folderPath, cls: 'setting-item-description' });
+
+		new Setting(contentEl)
+			.setName('Use global filters')
+			.addToggle(toggle => toggle
+				.setValue(this.useGlobal)
+				.onChange(value => {
+					this.useGlobal = value;
+					this.display();
+				}));
+
+		if (!this.useGlobal) {
+			renderFilterSettings(contentEl, this.filter, () => {});
+		}
+
+		new Setting(contentEl)
+			.addButton(button => button
+				.setButtonText('Save')
+				.setCta()
+				.onClick(async () => {
+					this.close();
+					await this.pinManager.setPinFilter(this.folderPath, this.useGlobal ? null : this.filter);
+					if (this.onSave) this.onSave();
+				}))
+			.addButton(button => button
+				.setButtonText('Cancel')
+				.onClick(() => this.close()));
+	}
+
+	onClose() {
+		this.contentEl.empty();
+	}
+}
+
+// 展开内容排序方式选择弹窗
+class SortOrderSuggestModal extends SuggestModal {
+	constructor(app, pinManager, onChoose) {
+		super(app);
+		this.pinManager = pinManager;
+		this.onChoose = onChoose;
+		this.setPlaceholder('Choose how to sort the contents of this pin...');
+	}
+
+	getSuggestions(query) {
+		const lowerQuery = query.trim().toLowerCase();
+		return [{ id: '', name: 'Follow file explorer' }]
+			.concat(Object.keys(SORT_ORDERS).map(id => ({ id, name: SORT_ORDERS[id] })))
+			.filter(option => option.name.toLowerCase().includes(lowerQuery));
+	}
+
+	renderSuggestion(option, el) {
+		el.setText(option.name);
+	}
+
+	onChooseSuggestion(option) {
+		this.onChoose(option.id);
+	}
+}
+
+// 分组选择弹窗，输入不存在的名称时可新建分组
+class GroupSuggestModal extends SuggestModal {
+	constructor(app, pinManager, onChoose) {
+		super(app);
+		this.pinManager = pinManager;
+		this.onChoose = onChoose;
+		this.setPlaceholder('Choose a group or type a new group name...');
+	}
+
+	getSuggestions(query) {
+		const lowerQuery = query.trim().toLowerCase();
+		const options = [{ id: null, name: 'No group' }]
+			.concat(this.pinManager.plugin.getProfile().groups)
+			.filter(group => group.name.toLowerCase().includes(lowerQuery));
+
+		const exists = this.pinManager.plugin.getProfile().groups.some(group => group.name.toLowerCase() === lowerQuery);
+		if (lowerQuery && !exists) {
+			options.push({ id: null, name: query.trim(), isNew: true });
+		}
+		return options;
+	}
+
+	renderSuggestion(group, el) {
+		el.setText(group.isNew ? `Create group "${group.name}"` : group.name);
+	}
+
+	onChooseSuggestion(group) {
+		if (group.isNew) {
+			const created = this.pinManager.createGroup(group.name);
+			this.onChoose(created.id);
+		} else {
+			this.onChoose(group.id);
+		}
+	}
+}
+
+// 临时固定时长选择弹窗，也可输入 YYYY-MM-DD 固定到指定日期
+class ExpirySuggestModal extends SuggestModal {
+	constructor(app, allowClear, onChoose) {
+		super(app);
+		this.allowClear = allowClear;
+		this.onChoose = onChoose;
+		this.setPlaceholder('Choose a duration or type a date (YYYY-MM-DD)...');
+	}
+
+	getSuggestions(query) {
+		const lowerQuery = query.trim().toLowerCase();
+		const options = EXPIRY_OPTIONS
+			.map(option => ({ label: option.label, expires: Date.now() + option.duration }))
+			.filter(option => option.label.toLowerCase().includes(lowerQuery));
+
+		const date = parseExpiryDate(query);
+		if (date && date > Date.now()) {
+			options.unshift({ label: `Until ${query.trim()}`, expires: date });
+		}
+		if (this.allowClear && !lowerQuery) {
+			options.push({ label: 'No expiry', expires: null });
+		}
+		return options;
+	}
+
+	renderSuggestion(option, el) {
+		el.setText(option.label);
+	}
+
+	onChooseSuggestion(option) {
+		this.onChoose(option.expires);
+	}
+}
+
+// 配置集选择弹窗，输入不存在的名称时可新建配置集
+class ProfileSuggestModal extends SuggestModal {
+	constructor(app, pinManager) {
+		super(app);
+		this.pinManager = pinManager;
+		this.setPlaceholder('Choose a pin profile or type a new profile name...');
+	}
+
+	getSuggestions(query) {
+		const lowerQuery = query.trim().toLowerCase();
+		const profiles = this.pinManager.plugin.settings.profiles;
+		const options = profiles.filter(profile => profile.name.toLowerCase().includes(lowerQuery));
+
+		if (lowerQuery && !profiles.some(profile => profile.name.toLowerCase() === lowerQuery)) {
+			options.push({ id: null, name: query.trim(), isNew: true });
+		}
+		return options;
+	}
+
+	renderSuggestion(profile, el) {
+		if (profile.isNew) {
+			el.setText(`Create profile "${profile.name}"`);
+			return;
+		}
+		el.setText(profile.name);
+		if (profile.id === this.pinManager.plugin.settings.activeProfileId) {
+			el.createEl('small', { text: ' (active)', cls: 'pin-profile-active' });
+		}
+	}
+
+	onChooseSuggestion(profile) {
+		if (profile.isNew) {
+			profile = this.pinManager.addProfile(profile.name);
+		}
+		this.pinManager.switchProfile(profile.id);
 	}
 }
 